@@ -0,0 +1,180 @@
+/**
+ * Structured UK address parsing
+ */
+
+import { readFileSync } from 'node:fs';
+
+import { cleanText } from './utils.js';
+
+// Bundled list of postcode areas ("SW"), to tell a bare outward code from a flat or block number
+const POSTCODE_DATA = JSON.parse(readFileSync(new URL('./data/postcodes.json', import.meta.url), 'utf8'));
+
+const FULL_POSTCODE_REGEX = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+// A bare outward code is only trusted in capitals, at the end, with a real area and not naming a flat or block ("Block B2")
+const OUTWARD_CODE_REGEX = /(?:^|[\s,])([A-Z]{1,2}\d[A-Z\d]?)$/;
+const PREMISES_BEFORE_REGEX = /\b(flat|block|unit|suite|apartment|apt|floor|building|room|plot|studio|house|no\.?)\s*$/i;
+
+const COUNTIES = new Set(
+    [
+        'Bedfordshire',
+        'Berkshire',
+        'Buckinghamshire',
+        'Cambridgeshire',
+        'Cheshire',
+        'Cornwall',
+        'County Durham',
+        'Cumbria',
+        'Derbyshire',
+        'Devon',
+        'Dorset',
+        'East Sussex',
+        'East Yorkshire',
+        'Essex',
+        'Gloucestershire',
+        'Greater London',
+        'Greater Manchester',
+        'Hampshire',
+        'Herefordshire',
+        'Hertfordshire',
+        'Isle of Wight',
+        'Kent',
+        'Lancashire',
+        'Leicestershire',
+        'Lincolnshire',
+        'Merseyside',
+        'Middlesex',
+        'Norfolk',
+        'North Yorkshire',
+        'Northamptonshire',
+        'Northumberland',
+        'Nottinghamshire',
+        'Oxfordshire',
+        'Rutland',
+        'Shropshire',
+        'Somerset',
+        'South Yorkshire',
+        'Staffordshire',
+        'Suffolk',
+        'Surrey',
+        'Tyne and Wear',
+        'Warwickshire',
+        'West Midlands',
+        'West Sussex',
+        'West Yorkshire',
+        'Wiltshire',
+        'Worcestershire',
+        'Anglesey',
+        'Carmarthenshire',
+        'Ceredigion',
+        'Conwy',
+        'Denbighshire',
+        'Flintshire',
+        'Gwynedd',
+        'Monmouthshire',
+        'Pembrokeshire',
+        'Powys',
+        'Aberdeenshire',
+        'Fife',
+        'Highland',
+        'Lothian',
+        'Perthshire',
+        'County Antrim',
+        'County Down',
+    ].map((county) => county.toLowerCase()),
+);
+
+/**
+ * Splits a postcode out of free text. Full postcodes win over a trailing outward code,
+ * and only full ones are reported as `postcode`.
+ */
+export const parseUkPostcode = (value) => {
+    const text = cleanText(value);
+    if (!text) return { postcode: null, outwardCode: null, inwardCode: null, postcodeIsFull: false, match: null };
+
+    const full = text.match(FULL_POSTCODE_REGEX);
+    if (full) {
+        const outwardCode = full[1].toUpperCase();
+        const inwardCode = full[2].toUpperCase();
+        return { postcode: `${outwardCode} ${inwardCode}`, outwardCode, inwardCode, postcodeIsFull: true, match: full[0] };
+    }
+    const outward = text.match(OUTWARD_CODE_REGEX);
+    const outwardIsPostcode = outward
+        && POSTCODE_DATA.areas[outward[1].match(/^[A-Z]+/)[0]]
+        && !PREMISES_BEFORE_REGEX.test(text.slice(0, outward.index + outward[0].length - outward[1].length));
+    if (outwardIsPostcode) {
+        return { postcode: null, outwardCode: outward[1].toUpperCase(), inwardCode: null, postcodeIsFull: false, match: outward[0] };
+    }
+    return { postcode: null, outwardCode: null, inwardCode: null, postcodeIsFull: false, match: null };
+};
+
+// JSON-LD PostalAddress or a Zoopla address object -> display string
+export const formatAddressObject = (address) => {
+    if (!address || typeof address !== 'object') return cleanText(address);
+    const parts = [
+        address.streetAddress || address.line1 || address.addressLine1,
+        address.line2 || address.addressLine2,
+        address.addressLocality || address.town || address.city,
+        address.addressRegion || address.county,
+        address.postalCode || address.postcode,
+    ];
+    return cleanText(parts.filter(Boolean).join(', '));
+};
+
+/**
+ * "1 Battersea Park Road, London, SW11 4NP" -> street "1 Battersea Park Road", town "London".
+ * Structured values (JSON-LD addressLocality etc.) always win over what is parsed from the text.
+ */
+export const parseUkAddress = (displayAddress, structured = {}) => {
+    const text = cleanText(displayAddress);
+    const postcode = parseUkPostcode(structured.postalCode || structured.postcode || text);
+
+    let parts = [];
+    if (text) {
+        const withoutPostcode = postcode.match ? text.replace(postcode.match, '') : text;
+        parts = withoutPostcode
+            .split(',')
+            .map((part) => cleanText(part))
+            .filter(Boolean);
+    }
+
+    let county = null;
+    if (parts.length >= 3 && COUNTIES.has(parts[parts.length - 1].toLowerCase())) county = parts.pop();
+
+    let town = null;
+    if (parts.length >= 2) town = parts.pop();
+
+    return {
+        street: cleanText(structured.streetAddress || structured.line1) || (parts.length ? parts.join(', ') : null),
+        town: cleanText(structured.addressLocality || structured.town || structured.city) || town,
+        county: cleanText(structured.addressRegion || structured.county) || county,
+        postalCode: postcode.postcode,
+        outwardCode: postcode.outwardCode,
+        inwardCode: postcode.inwardCode,
+        postcodeIsFull: postcode.postcodeIsFull,
+    };
+};
+
+const toCoordinate = (value) => {
+    const number = typeof value === 'string' ? Number(value) : value;
+    return Number.isFinite(number) ? number : null;
+};
+
+// Coordinates from __NEXT_DATA__ ({ location: { coordinates } }, { latitude, longitude }) or JSON-LD ({ geo })
+export const extractCoordinates = (agent) => {
+    const candidates = [agent.geo, agent.location?.coordinates, agent.location, agent.coordinates, agent.position, agent];
+    for (const candidate of candidates) {
+        if (!candidate || typeof candidate !== 'object') continue;
+        const latitude = toCoordinate(candidate.latitude ?? candidate.lat);
+        const longitude = toCoordinate(candidate.longitude ?? candidate.lng ?? candidate.lon);
+        if (latitude != null && longitude != null) return { latitude, longitude };
+    }
+    return null;
+};
+
+// Address and geo fields shared by every extraction tier. Only the source's own coordinates are used:
+// a postcode area centroid is miles from the branch, too far off to pass as its location
+export const buildAddressFields = (displayAddress, { structured, coordinates } = {}) => {
+    const address = parseUkAddress(displayAddress, structured || {});
+    const geo = coordinates ? { ...coordinates, geoPrecision: 'exact' } : { latitude: null, longitude: null, geoPrecision: null };
+    return { ...address, ...geo };
+};
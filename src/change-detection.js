@@ -0,0 +1,107 @@
+/**
+ * Change detection against the previous run's agent snapshot (changeDetection mode)
+ */
+
+import { Actor } from 'apify';
+
+import { getAgentKey } from './extractors/agents.js';
+
+export const DEFAULT_SNAPSHOT_STORE = 'zoopla-agent-snapshots';
+export const DEFAULT_SNAPSHOT_KEY = 'AGENTS';
+
+// Fields compared between runs - volatile ones such as scrapedAt or source are ignored
+export const TRACKED_FIELDS = [
+    'name',
+    'branchName',
+    'companyName',
+    'address',
+    'postalCode',
+    'locality',
+    'phone',
+    'website',
+    'rating',
+    'reviewCount',
+    'listingsForSale',
+    'listingsToRent',
+    'avgAskingPrice',
+    'avgRentPrice',
+    'featured',
+];
+
+/**
+ * Fields a dataset item needs to serve as the previous snapshot, left out by `outputFields` (original names).
+ * Without them every agent would come back as changed, or as new when agentId is missing.
+ */
+export const getMissingSnapshotFields = (outputFields = []) =>
+    (outputFields.length ? ['agentId', ...TRACKED_FIELDS].filter((field) => !outputFields.includes(field)) : []);
+
+// rootUrl is kept so a later run knows which search should have found the agent again
+export const toSnapshotRecord = (agent) => {
+    const record = { agentId: agent.agentId, url: agent.url, rootUrl: agent.rootUrl ?? null };
+    for (const field of TRACKED_FIELDS) record[field] = agent[field] ?? null;
+    return record;
+};
+
+// Returns { field: { previous, current } } for every tracked field whose value differs
+export const diffAgentRecords = (previous, current) => {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        const before = previous[field] ?? null;
+        const after = current[field] ?? null;
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            changes[field] = { previous: before, current: after };
+        }
+    }
+    return changes;
+};
+
+export const classifyAgentChange = (previous, current) => {
+    if (!previous) return { changeStatus: 'new', changes: null };
+    const changes = diffAgentRecords(previous, current);
+    return Object.keys(changes).length
+        ? { changeStatus: 'changed', changes }
+        : { changeStatus: 'unchanged', changes: null };
+};
+
+/**
+ * The previous snapshot's agents this run did not save. An agent is `disappeared` only when the search that found it
+ * was crawled to completion without finding it (any search for records without one, only if all are complete).
+ * The rest were not reached, filtered out or dropped for quality; they are `carried` into the next snapshot
+ * so the next run does not report them as new.
+ */
+export const settleUnsavedAgents = (previousSnapshot, currentSnapshot, { found, completeSearches, allSearchesComplete }) => {
+    const disappeared = [];
+    const carried = {};
+    for (const [key, record] of previousSnapshot) {
+        if (currentSnapshot[key]) continue;
+        const searchComplete = record.rootUrl ? completeSearches.has(record.rootUrl) : allSearchesComplete;
+        if (searchComplete && !found.has(key)) disappeared.push(record);
+        else carried[key] = record;
+    }
+    return { disappeared, carried };
+};
+
+/**
+ * The previous snapshot comes either from a dataset (e.g. last run's default dataset) or from our own key-value store.
+ * Dataset items were written with fieldRenames, so `unshape` maps them back to the original field names.
+ */
+export const loadPreviousSnapshot = async ({ datasetId, storeName, key, unshape = (item) => item }) => {
+    const snapshot = new Map();
+    if (datasetId) {
+        const dataset = await Actor.openDataset(datasetId);
+        await dataset.forEach((shaped) => {
+            const item = unshape(shaped);
+            if (item.changeStatus === 'disappeared') return;
+            const agentKey = getAgentKey(item);
+            if (agentKey) snapshot.set(agentKey, toSnapshotRecord(item));
+        });
+        return snapshot;
+    }
+
+    const store = await Actor.openKeyValueStore(storeName);
+    const stored = await store.getValue(key);
+    for (const [agentKey, record] of Object.entries(stored?.agents || {})) {
+        snapshot.set(agentKey, record);
+    }
+    return snapshot;
+};
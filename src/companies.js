@@ -0,0 +1,89 @@
+/**
+ * Brand-level rollup of branch records (company summary output)
+ */
+
+import { cleanText } from './utils.js';
+
+export const COMPANIES_KEY = 'COMPANIES';
+
+// Legal suffixes that don't distinguish one brand from another
+const COMPANY_SUFFIX_REGEX = /\b(ltd|limited|plc|llp|llc|inc)\b\.?/g;
+
+// "Smith & Jones Ltd." and "SMITH AND JONES LIMITED" both become "smith and jones"
+export const normalizeCompanyKey = (name) => {
+    const text = cleanText(name);
+    if (!text) return null;
+    const key = text
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .replace(COMPANY_SUFFIX_REGEX, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return key || null;
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// The spelling used by most branches is the one reported
+const mostCommon = (values) => {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+};
+
+/**
+ * Review-weighted average: each branch rating counts once per review.
+ * Falls back to a plain mean when no branch has a review count.
+ */
+export const weightedRating = (branches) => {
+    const rated = branches.filter((branch) => branch.rating != null);
+    if (!rated.length) return null;
+    const weight = sum(rated.map((branch) => branch.reviewCount || 0));
+    const average = weight
+        ? sum(rated.map((branch) => branch.rating * (branch.reviewCount || 0))) / weight
+        : sum(rated.map((branch) => branch.rating)) / rated.length;
+    return Math.round(average * 100) / 100;
+};
+
+const summarizeCompany = (companyKey, branches) => {
+    const localities = [...new Set(branches.map((branch) => branch.locality).filter(Boolean))].sort();
+    return {
+        companyKey,
+        companyName: mostCommon(branches.map((branch) => branch.companyName || branch.name).filter(Boolean)),
+        branchCount: branches.length,
+        localities,
+        localityCount: localities.length,
+        totalListingsForSale: sum(branches.map((branch) => branch.listingsForSale || 0)),
+        totalListingsToRent: sum(branches.map((branch) => branch.listingsToRent || 0)),
+        totalReviews: sum(branches.map((branch) => branch.reviewCount || 0)),
+        averageRating: weightedRating(branches),
+        agentIds: branches.map((branch) => branch.agentId).filter(Boolean),
+    };
+};
+
+// Only what summarizeCompany reads is kept per branch, so the aggregator stays small enough to persist
+const BRANCH_FIELDS = ['agentId', 'name', 'companyName', 'locality', 'listingsForSale', 'listingsToRent', 'rating', 'reviewCount'];
+
+// `restored` is a previous getState() when a run resumes
+export const createCompanyAggregator = (restored = {}) => {
+    const companies = new Map(Object.entries(restored));
+
+    const add = (record) => {
+        const companyKey = normalizeCompanyKey(record.companyName || record.name);
+        if (!companyKey) return;
+        if (!companies.has(companyKey)) companies.set(companyKey, []);
+        companies.get(companyKey).push(Object.fromEntries(BRANCH_FIELDS.map((field) => [field, record[field] ?? null])));
+    };
+
+    // Largest brands first
+    const summary = () =>
+        [...companies.entries()]
+            .map(([companyKey, branches]) => summarizeCompany(companyKey, branches))
+            .sort((a, b) => b.branchCount - a.branchCount || a.companyKey.localeCompare(b.companyKey));
+
+    const getState = () => Object.fromEntries(companies);
+
+    return { add, summary, getState };
+};
@@ -0,0 +1,17 @@
+/**
+ * Shared constants for the Zoopla agent scraper
+ */
+
+export const BASE_URL = 'https://www.zoopla.co.uk';
+export const DEFAULT_START_URL = 'https://www.zoopla.co.uk/find-agents/estate-agents/london/';
+export const LABELS = {
+    DIRECTORY: 'DIRECTORY',
+    BRANCH: 'BRANCH',
+    REVIEWS: 'REVIEWS',
+    LISTINGS: 'LISTINGS',
+    WEBSITE: 'WEBSITE',
+};
+export const DEFAULT_REVIEWS_DATASET = 'zoopla-agent-reviews';
+export const DEFAULT_LISTINGS_DATASET = 'zoopla-agent-listings';
+export const AGENT_TYPES = ['estate-agents', 'letting-agents'];
+export const RADIUS_OPTIONS = ['0', '0.25', '0.5', '1', '3', '5', '10', '15', '20', '30', '40'];
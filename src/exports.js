@@ -0,0 +1,154 @@
+/**
+ * Output shaping (field selection and renaming) and the end-of-run exports: CSV, XLSX, vCard and GeoJSON
+ */
+
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'vcard', 'geojson'];
+
+// Key-value store record per format; the extension keeps downloads opening in the right app
+export const EXPORTS = {
+    csv: { key: 'agents.csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { key: 'agents.xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    vcard: { key: 'agents.vcf', contentType: 'text/vcard; charset=utf-8' },
+    geojson: { key: 'agents.geojson', contentType: 'application/geo+json' },
+};
+
+/**
+ * `fields` keeps only the listed fields (all when empty), `renames` maps original names to output names.
+ * unshape() turns an output record back into original names for the vCard and GeoJSON builders.
+ */
+export const createFieldShaper = ({ fields = [], renames = {} } = {}) => {
+    const selected = fields.length ? new Set(fields) : null;
+    const reverse = Object.fromEntries(Object.entries(renames).map(([from, to]) => [to, from]));
+
+    const shape = (record) => {
+        const shaped = {};
+        for (const [field, value] of Object.entries(record)) {
+            if (selected && !selected.has(field)) continue;
+            shaped[renames[field] || field] = value;
+        }
+        return shaped;
+    };
+
+    const unshape = (record) => Object.fromEntries(Object.entries(record).map(([field, value]) => [reverse[field] || field, value]));
+
+    return { shape, unshape };
+};
+
+// Columns in order of first appearance across all records
+const collectColumns = (records) => {
+    const columns = new Set();
+    for (const record of records) Object.keys(record).forEach((key) => columns.add(key));
+    return [...columns];
+};
+
+// Lists of numbers or names read better as "a; b" than as JSON; objects stay JSON
+const toCellValue = (value) => {
+    if (value == null) return null;
+    if (Array.isArray(value) && value.every((item) => item == null || typeof item !== 'object')) return value.join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+};
+
+const escapeCsv = (value) => {
+    if (value == null) return '';
+    let text = String(value);
+    // Keep spreadsheet apps from evaluating scraped text as a formula; "+44..." and "-0.12" stay as they are
+    if (/^[=@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// UTF-8 with a byte order mark and CRLF line endings, so Excel on UK Windows machines shows "£" and accents correctly
+export const toCsv = (records) => {
+    const columns = collectColumns(records);
+    const lines = [columns.map(escapeCsv).join(',')];
+    for (const record of records) lines.push(columns.map((column) => escapeCsv(toCellValue(record[column]))).join(','));
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+export const toXlsx = async (records) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Agents', { views: [{ state: 'frozen', ySplit: 1 }] });
+    const columns = collectColumns(records);
+    sheet.columns = columns.map((column) => ({ header: column, key: column, width: Math.min(50, Math.max(12, column.length + 2)) }));
+    sheet.getRow(1).font = { bold: true };
+    for (const record of records) {
+        sheet.addRow(Object.fromEntries(columns.map((column) => [column, toCellValue(record[column])])));
+    }
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// vCard text values escape backslashes, commas, semicolons and newlines
+const escapeVCard = (value) =>
+    String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+
+// Lines longer than 75 characters continue on the next line after a leading space
+const foldLine = (line) => {
+    const parts = [];
+    for (let start = 0; start < line.length; start += 74) parts.push(line.slice(start, start + 74));
+    return parts.join('\r\n ');
+};
+
+/**
+ * One vCard 3.0 contact per agent - the version phone address books import most reliably.
+ * Every number goes in as E.164 with its department as the type.
+ */
+export const toVCard = (agent) => {
+    const phones = agent.phones?.length ? agent.phones : [{ e164: agent.phoneE164 || agent.phone, label: null }];
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeVCard(agent.name || agent.companyName)}`,
+        `ORG:${escapeVCard(agent.companyName || agent.name)}${agent.branchName && agent.branchName !== agent.companyName ? `;${escapeVCard(agent.branchName)}` : ''}`,
+        ...phones
+            .filter((phone) => phone?.e164)
+            .map((phone) => `TEL;TYPE=WORK,VOICE${phone.label ? `,X-${phone.label.toUpperCase()}` : ''}:${phone.e164}`),
+        agent.email && `EMAIL;TYPE=INTERNET,WORK:${escapeVCard(agent.email)}`,
+        agent.website && `URL:${escapeVCard(agent.website)}`,
+        agent.address &&
+            `ADR;TYPE=WORK:;;${[agent.street || agent.address, agent.town || agent.locality, agent.county, agent.postalCode || agent.outwardCode, 'United Kingdom']
+                .map(escapeVCard)
+                .join(';')}`,
+        agent.latitude != null && agent.longitude != null && `GEO:${agent.latitude};${agent.longitude}`,
+        agent.url && `NOTE:${escapeVCard(`Zoopla: ${agent.url}`)}`,
+        agent.agentId && `UID:zoopla-agent-${agent.agentId}`,
+        'END:VCARD',
+    ];
+    return lines.filter(Boolean).map(foldLine).join('\r\n');
+};
+
+export const toVCards = (agents) => `${agents.map(toVCard).join('\r\n')}\r\n`;
+
+// Points for every agent with coordinates; the rest of the record becomes the feature's properties
+export const toGeoJson = (agents) => ({
+    type: 'FeatureCollection',
+    features: agents
+        .filter((agent) => Number.isFinite(agent.latitude) && Number.isFinite(agent.longitude))
+        .map(({ latitude, longitude, ...properties }) => ({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [longitude, latitude] },
+            properties,
+        })),
+});
+
+// vCards and map points only make sense for agents that still exist
+const isCurrentAgent = (agent) => agent.changeStatus !== 'disappeared';
+
+/**
+ * One export as it is written to the key-value store, built from the dataset items (output names).
+ * The value is always a string or Buffer: setValue() accepts nothing else with an explicit contentType.
+ */
+export const buildExport = async (format, items, { unshape = (item) => item } = {}) => {
+    const agents = () => items.map(unshape).filter(isCurrentAgent);
+    const builders = {
+        csv: () => toCsv(items),
+        xlsx: () => toXlsx(items),
+        vcard: () => toVCards(agents()),
+        geojson: () => JSON.stringify(toGeoJson(agents())),
+    };
+    return { ...EXPORTS[format], value: await builders[format]() };
+};
@@ -0,0 +1,394 @@
+/**
+ * Agent directory extraction: __NEXT_DATA__ first, then JSON-LD, then HTML cards
+ */
+
+import { load as cheerioLoad } from 'cheerio';
+
+import { buildAddressFields, extractCoordinates, formatAddressObject } from '../address.js';
+import { buildPhoneFields, getPhoneLabel, mergePhoneLists, parseUkPhones } from '../phone.js';
+import { cleanText, ensureAbsoluteUrl, parseNumber, safeJsonParse } from '../utils.js';
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+// Main contact number, a call-tracking number when the branch has one, and any per-department numbers
+const collectAgentPhones = (agent) => {
+    const tracked = Boolean(agent.isTrackedNumber || agent.contactNumberIsTracked);
+    const listed = agent.contactNumbers || agent.phoneNumbers || [];
+    const entries = Array.isArray(listed)
+        ? listed.map((entry) => [entry?.type || entry?.label || entry?.department, entry?.number || entry?.value || entry?.telephone])
+        : Object.entries(listed);
+
+    return mergePhoneLists(
+        parseUkPhones(agent.contactNumber || agent.telephone || agent.phone, { tracked }),
+        parseUkPhones(agent.trackingNumber || agent.trackedNumber, { tracked: true }),
+        ...entries.map(([label, number]) => parseUkPhones(number, { label: getPhoneLabel(label) })),
+    );
+};
+
+// "Company Name - Branch Name" -> both parts; a name without " - " is both the company and the branch
+const splitDisplayName = (displayName) => {
+    if (!displayName) return { companyName: null, branchName: null };
+    if (!displayName.includes(' - ')) return { companyName: displayName, branchName: displayName };
+    const [company, ...branch] = displayName.split(' - ');
+    const companyName = company.trim();
+    return { companyName, branchName: branch.join(' - ').trim() || companyName };
+};
+
+// Normalize Zoopla agent record to output format
+export const normalizeZooplaAgent = (agent, source) => {
+    if (!agent || typeof agent !== 'object') return null;
+
+    // Extract listing statistics
+    const residential = agent.listingsStatistics?.residential || {};
+    const forSale = residential.forSale || {};
+    const toRent = residential.toRent || {};
+
+    const agentId = agent.id || agent.branchId || null;
+
+    // Extract names properly
+    // displayName is typically "Company Name - Branch Name" or just company name
+    const displayName = cleanText(agent.displayName || agent.name);
+    const branchName = cleanText(agent.branchName);
+
+    // Parse company name from displayName if it contains " - "
+    let companyName = cleanText(agent.companyName || agent.company);
+    let finalBranchName = branchName;
+
+    if (!companyName && displayName) {
+        const split = splitDisplayName(displayName);
+        companyName = split.companyName;
+        finalBranchName = finalBranchName || split.branchName;
+    }
+
+    const name = displayName || branchName || companyName;
+    if (!name) return null;
+
+    // JSON-LD gives a PostalAddress object, __NEXT_DATA__ a display string
+    const structuredAddress = typeof agent.address === 'object' ? agent.address : null;
+    const displayAddress = cleanText(agent.displayAddress) || formatAddressObject(agent.address);
+    const addressFields = buildAddressFields(displayAddress, {
+        structured: structuredAddress,
+        coordinates: extractCoordinates(agent),
+    });
+    const locality = cleanText(agent.locality || agent.town || agent.city) || addressFields.town;
+
+    // Extract logo URL properly - Zoopla uses { uri, width, height } structure
+    let logoUrl = null;
+    if (agent.logo) {
+        if (typeof agent.logo === 'string') {
+            logoUrl = agent.logo;
+        } else if (typeof agent.logo === 'object') {
+            // Zoopla specifically uses 'uri' for the image URL
+            logoUrl = agent.logo.uri || agent.logo.src || agent.logo.url || agent.logo.href || null;
+        }
+    }
+    if (logoUrl && typeof logoUrl === 'string') {
+        logoUrl = ensureAbsoluteUrl(logoUrl);
+    }
+
+    // Extract rating from various possible locations
+    const aggregateRating = agent.aggregateRating || agent.rating_info || {};
+    const rating = parseNumber(
+        agent.averageRating ||
+        agent.rating ||
+        agent.ratingValue ||
+        aggregateRating.ratingValue ||
+        aggregateRating.average ||
+        aggregateRating.rating
+    );
+
+    // Extract review count
+    const reviewCount = parseNumber(
+        agent.reviewCount ||
+        agent.reviewsCount ||
+        agent.numberOfReviews ||
+        aggregateRating.reviewCount ||
+        aggregateRating.ratingCount ||
+        aggregateRating.count
+    );
+
+    return {
+        agentId: agentId ? String(agentId) : null,
+        name,
+        branchName: finalBranchName || name,
+        companyName,
+        url: ensureAbsoluteUrl(agent.uriName ? `/find-agents/branch/${agent.uriName}/${agent.id}/` : agent.url),
+        address: displayAddress,
+        ...addressFields,
+        locality,
+        ...buildPhoneFields(collectAgentPhones(agent)),
+        website: ensureAbsoluteUrl(agent.website),
+        logo: logoUrl,
+        rating,
+        reviewCount,
+        listingsForSale: parseNumber(forSale.availableListings),
+        listingsToRent: parseNumber(toRent.availableListings),
+        avgAskingPrice: parseNumber(forSale.avgAskingPrice),
+        avgRentPrice: parseNumber(toRent.avgAskingPrice),
+        featured: Boolean(agent.featured),
+        source,
+    };
+};
+
+// ============================================================================
+// __NEXT_DATA__ EXTRACTION (Direct path access)
+// ============================================================================
+// Extract agents directly from the correct path in __NEXT_DATA__
+export const extractAgentsFromNextData = (nextData) => {
+    if (!nextData?.props?.pageProps?.data?.agents?.results) {
+        return { agents: [], totalCount: 0, pageSize: 0, buildId: nextData?.buildId || null };
+    }
+
+    const agentsData = nextData.props.pageProps.data.agents;
+    const results = agentsData.results || [];
+    const totalCount = agentsData.totalCount || results.length;
+    const pageSize = results.length;
+    const buildId = nextData.buildId || null;
+
+    const agents = results.map((agent) => normalizeZooplaAgent(agent, 'api')).filter(Boolean);
+    return { agents, totalCount, pageSize, buildId };
+};
+
+// ============================================================================
+// JSON-LD EXTRACTION (Fallback)
+// ============================================================================
+export const extractAgentsFromJsonLd = (html) => {
+    const $ = cheerioLoad(html);
+    const scripts = $('script[type="application/ld+json"]');
+    const results = [];
+
+    scripts.each((_, scriptEl) => {
+        const jsonText = $(scriptEl).contents().text();
+        const parsed = safeJsonParse(jsonText);
+        if (!parsed) return;
+
+        const walk = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(walk);
+                return;
+            }
+            const nodeType = node['@type'];
+            const types = [nodeType].flat().filter(Boolean);
+            // A bare Organization is often the site publisher (Zoopla itself); it only counts with a branch URL or an address
+            const isAgentType = types.some((t) => ['RealEstateAgent', 'RealEstateAgency', 'LocalBusiness'].includes(t));
+            const isBranchOrganization = types.includes('Organization') && (/\/branch\//.test(node.url || '') || Boolean(node.address));
+            if (isAgentType || isBranchOrganization) {
+                const normalized = normalizeZooplaAgent(node, 'json-ld');
+                if (normalized?.name) results.push(normalized);
+            }
+            for (const value of Object.values(node)) {
+                if (value && typeof value === 'object') walk(value);
+            }
+        };
+        walk(parsed);
+    });
+
+    return results;
+};
+
+// ============================================================================
+// HTML EXTRACTION (Final Fallback)
+// ============================================================================
+export const extractAgentsFromHtml = (html) => {
+    const $ = cheerioLoad(html);
+    const results = [];
+    const seen = new Set();
+
+    // Find agent cards via links to branch pages
+    const branchLinks = $('a[href*="/find-agents/branch/"], a[href*="/estate-agents/branch/"]');
+
+    branchLinks.each((_, linkEl) => {
+        const link = $(linkEl);
+        const href = link.attr('href');
+        const url = ensureAbsoluteUrl(href);
+        if (!url || seen.has(url)) return;
+        seen.add(url);
+
+        // Find parent card container
+        const card = link.closest('article, li, div[class*="agent"], div[class*="card"]');
+        const cardText = card.length ? card.text() : '';
+
+        // Extract agent ID from URL
+        const idMatch = href?.match(/\/(\d+)\/?$/);
+        const agentId = idMatch ? idMatch[1] : null;
+
+        const name = cleanText(
+            card.find('h1, h2, h3, h4').first().text() ||
+            link.find('[class*="name"]').text() ||
+            link.text()
+        );
+
+        const address = cleanText(
+            card.find('address').first().text() ||
+            card.find('[class*="address"]').first().text()
+        );
+
+        // Every tel: link on the card; tracking numbers are marked up as such
+        const phones = mergePhoneLists(
+            card
+                .find('a[href^="tel:"]')
+                .toArray()
+                .flatMap((telEl) => {
+                    const tel = $(telEl);
+                    return parseUkPhones(tel.attr('href'), {
+                        tracked: tel.is('[data-call-tracking], [data-tracked], [class*="tracked" i]'),
+                        label: getPhoneLabel(`${tel.attr('aria-label') || ''} ${tel.text()}`),
+                    });
+                }),
+        );
+
+        const logo = ensureAbsoluteUrl(
+            card.find('img[alt*="logo" i]').first().attr('src') ||
+            card.find('img').first().attr('src')
+        );
+
+        // Parse listing counts and the rating from text: "4.6 out of 5 (32 reviews)", "4.6/5", "4.6 stars"
+        const forSaleMatch = cardText.match(/(\d+)\s+propert(?:y|ies)\s+for\s+sale/i);
+        const toRentMatch = cardText.match(/(\d+)\s+propert(?:y|ies)\s+to\s+rent/i);
+        const ratingMatch = cardText.match(/\b([0-5](?:\.\d)?)\s*(?:out of 5|\/\s*5|stars?)/i);
+        const reviewCountMatch = cardText.match(/([\d,]+)\s+reviews?/i);
+
+        if (name) {
+            const addressFields = buildAddressFields(address);
+            const { companyName, branchName } = splitDisplayName(name);
+            results.push({
+                agentId,
+                name,
+                branchName,
+                companyName,
+                url,
+                address,
+                ...addressFields,
+                locality: addressFields.town,
+                ...buildPhoneFields(phones),
+                website: null,
+                logo,
+                rating: ratingMatch ? Number(ratingMatch[1]) : null,
+                reviewCount: reviewCountMatch ? parseNumber(reviewCountMatch[1]) : null,
+                listingsForSale: forSaleMatch ? Number(forSaleMatch[1]) : null,
+                listingsToRent: toRentMatch ? Number(toRentMatch[1]) : null,
+                avgAskingPrice: null,
+                avgRentPrice: null,
+                featured: false,
+                source: 'html',
+            });
+        }
+    });
+
+    return results;
+};
+
+// ============================================================================
+// TIER MERGING
+// ============================================================================
+// Default order when several tiers have a value for the same field
+export const SOURCE_PRECEDENCE = ['api', 'json-ld', 'html'];
+
+// Fields that only make sense together are taken from one tier as a group
+const ADDRESS_FIELDS = ['address', 'street', 'town', 'county', 'postalCode', 'outwardCode', 'inwardCode', 'postcodeIsFull'];
+const GEO_FIELDS = ['latitude', 'longitude', 'geoPrecision'];
+const PHONE_FIELDS = ['phone', 'phoneE164', 'phoneType', 'phoneArea', 'phoneExtension', 'phones'];
+const GROUPED_FIELDS = new Set([...ADDRESS_FIELDS, ...GEO_FIELDS, ...PHONE_FIELDS, 'source']);
+
+const hasValue = (value) => value != null && value !== '' && !(Array.isArray(value) && !value.length);
+
+// An agent can be matched by ID (also read from its branch URL), by URL, or by name and outward code
+const getMatchKeys = (agent) => {
+    const id = agent.agentId || agent.url?.match(/\/branch\/.*?(\d+)\/?$/)?.[1];
+    return [
+        id && `id:${id}`,
+        agent.url && `url:${agent.url.replace(/\/$/, '')}`,
+        agent.name && agent.outwardCode && `name:${agent.name.toLowerCase()}|${agent.outwardCode}`,
+    ].filter(Boolean);
+};
+
+/**
+ * One record from every tier that found the agent -> a single record.
+ * Fields follow SOURCE_PRECEDENCE, except: the address comes from the first tier with a full postcode,
+ * coordinates from the first tier that has them, and phone numbers from all tiers.
+ */
+const mergeAgentGroup = (group) => {
+    const records = SOURCE_PRECEDENCE.filter((source) => group[source]).map((source) => [source, group[source]]);
+    const [[leadSource, lead]] = records;
+    const values = {};
+    const fieldSources = {};
+    const takeFrom = (fields, [source, record]) => {
+        for (const field of fields) {
+            values[field] = record[field] ?? null;
+            if (hasValue(values[field])) fieldSources[field] = source;
+        }
+    };
+
+    const fields = [...new Set(records.flatMap(([, record]) => Object.keys(record)))];
+    for (const field of fields.filter((name) => !GROUPED_FIELDS.has(name))) {
+        takeFrom([field], records.find(([, record]) => hasValue(record[field])) || [leadSource, lead]);
+    }
+
+    takeFrom(ADDRESS_FIELDS, records.find(([, record]) => record.postcodeIsFull) || records.find(([, record]) => record.address) || [leadSource, lead]);
+
+    takeFrom(GEO_FIELDS, records.find(([, record]) => record.latitude != null) || [leadSource, lead]);
+
+    const withPhones = records.filter(([, record]) => record.phones?.length);
+    Object.assign(values, buildPhoneFields(mergePhoneLists(...withPhones.map(([, record]) => record.phones))));
+    if (withPhones.length) {
+        for (const field of PHONE_FIELDS) if (hasValue(values[field])) fieldSources[field] = withPhones[0][0];
+        fieldSources.phones = withPhones.map(([source]) => source).join('+');
+    }
+
+    // Field order follows the lead record
+    return {
+        ...Object.fromEntries(fields.filter((field) => field !== 'source').map((field) => [field, values[field] ?? null])),
+        source: leadSource,
+        sources: records.map(([source]) => source),
+        fieldSources,
+    };
+};
+
+/**
+ * Merges the agents every tier found on one page. The first tier with any agents (normally __NEXT_DATA__) decides
+ * which agents are on the page; the other tiers only fill in fields, so an ad card the HTML tier picked up
+ * cannot add an agent. `unmatched` counts records from the other tiers that matched no agent.
+ */
+export const mergeAgentSources = (tiers) => {
+    const leadSource = SOURCE_PRECEDENCE.find((source) => tiers[source]?.length);
+    if (!leadSource) return { agents: [], unmatched: 0 };
+
+    const groups = tiers[leadSource].map((agent) => ({ [leadSource]: agent }));
+    const index = new Map();
+    for (const group of groups) {
+        for (const key of getMatchKeys(group[leadSource])) if (!index.has(key)) index.set(key, group);
+    }
+
+    let unmatched = 0;
+    for (const source of SOURCE_PRECEDENCE.filter((name) => name !== leadSource)) {
+        for (const agent of tiers[source] || []) {
+            const group = getMatchKeys(agent)
+                .map((key) => index.get(key))
+                .find(Boolean);
+            if (!group || group[source]) {
+                unmatched++;
+                continue;
+            }
+            group[source] = agent;
+        }
+    }
+
+    return { agents: groups.map(mergeAgentGroup), unmatched };
+};
+
+// ============================================================================
+// DEDUPLICATION
+// ============================================================================
+export const getAgentKey = (agent) => agent.agentId || agent.url || `${agent.name}|${agent.address}`;
+
+export const dedupeAgents = (agents) => {
+    const seen = new Set();
+    return agents.filter((agent) => {
+        const key = getAgentKey(agent);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+};
@@ -0,0 +1,181 @@
+/**
+ * Branch detail page extraction (includeBranchDetails mode)
+ */
+
+import { load as cheerioLoad } from 'cheerio';
+
+import { getPhoneLabel, mergePhoneLists, parseUkPhone, parseUkPhones } from '../phone.js';
+import { cleanText, ensureAbsoluteUrl, extractNextDataFromHtml, safeJsonParse } from '../utils.js';
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export const formatOpeningHours = (value) => {
+    if (!value) return null;
+    const entries = Array.isArray(value) ? value : [value];
+    const lines = [];
+
+    for (const entry of entries) {
+        if (!entry) continue;
+        if (typeof entry === 'string') {
+            const line = cleanText(entry);
+            if (line) lines.push(line);
+            continue;
+        }
+        if (typeof entry !== 'object') continue;
+
+        // JSON-LD: { dayOfWeek, opens, closes } - dayOfWeek may be a schema.org URL or an array
+        // __NEXT_DATA__: { day, openingTime, closingTime } or { day, hours }
+        const rawDays = entry.dayOfWeek || entry.day || entry.days || entry.label;
+        const days = (Array.isArray(rawDays) ? rawDays : [rawDays])
+            .filter(Boolean)
+            .map((d) => cleanText(String(d).split('/').pop()));
+        const opens = cleanText(entry.opens || entry.openingTime || entry.open || entry.from);
+        const closes = cleanText(entry.closes || entry.closingTime || entry.close || entry.to);
+        let hours = cleanText(entry.hours || entry.times || entry.value);
+        if (!hours && opens && closes) hours = `${opens}-${closes}`;
+        if (!hours && (entry.closed || entry.isClosed)) hours = 'Closed';
+
+        if (days.length && hours) lines.push(`${days.join(', ')}: ${hours}`);
+        else if (hours) lines.push(hours);
+    }
+
+    return lines.length ? lines : null;
+};
+
+// Find the branch object inside a branch page's pageProps - the key has moved between site releases
+export const findBranchInNextData = (nextData) => {
+    const pageProps = nextData?.props?.pageProps;
+    if (!pageProps || typeof pageProps !== 'object') return null;
+    const candidates = [
+        pageProps.data?.branch,
+        pageProps.data?.agent,
+        pageProps.data?.branchDetails,
+        pageProps.branch,
+        pageProps.agent,
+        pageProps.branchDetails,
+    ];
+    return candidates.find((candidate) => candidate && typeof candidate === 'object') || null;
+};
+
+const pickPhoneByDepartment = (branch, department) => {
+    const options = { label: department };
+    const direct = branch[`${department}Telephone`] || branch[`${department}Phone`] || branch[`${department}ContactNumber`];
+    if (direct) return parseUkPhone(direct, options);
+
+    const numbers = branch.contactNumbers || branch.phoneNumbers || branch.telephones;
+    if (Array.isArray(numbers)) {
+        const match = numbers.find((entry) => new RegExp(department, 'i').test(entry?.type || entry?.label || entry?.department || ''));
+        if (match) return parseUkPhone(match.number || match.value || match.telephone, options);
+    } else if (numbers && typeof numbers === 'object') {
+        return parseUkPhone(numbers[department], options);
+    }
+    return null;
+};
+
+const extractBranchDetailsFromNextData = (nextData) => {
+    const branch = findBranchInNextData(nextData);
+    if (!branch) return {};
+
+    const salesPhone = pickPhoneByDepartment(branch, 'sales');
+    const lettingsPhone = pickPhoneByDepartment(branch, 'lettings');
+    return {
+        openingHours: formatOpeningHours(branch.openingHours || branch.openingTimes || branch.officeHours),
+        description: cleanText(branch.description || branch.branchDescription || branch.about),
+        email: cleanText(branch.email || branch.emailAddress),
+        contactFormUrl: ensureAbsoluteUrl(branch.contactUrl || branch.contactFormUrl || branch.emailAgentUrl),
+        salesPhone: salesPhone?.national ?? null,
+        lettingsPhone: lettingsPhone?.national ?? null,
+        phones: mergePhoneLists(
+            parseUkPhones(branch.contactNumber || branch.telephone || branch.phone, { tracked: Boolean(branch.isTrackedNumber) }),
+            [salesPhone, lettingsPhone],
+        ),
+    };
+};
+
+const extractBranchDetailsFromJsonLd = ($) => {
+    const details = {};
+
+    $('script[type="application/ld+json"]').each((_, scriptEl) => {
+        const parsed = safeJsonParse($(scriptEl).contents().text());
+        const nodes = Array.isArray(parsed) ? parsed : parsed?.['@graph'] || (parsed ? [parsed] : []);
+
+        for (const node of nodes) {
+            const nodeType = node?.['@type'];
+            const types = Array.isArray(nodeType) ? nodeType : [nodeType];
+            if (!types.some((t) => ['RealEstateAgent', 'RealEstateAgency', 'LocalBusiness'].includes(t))) continue;
+
+            details.openingHours ??= formatOpeningHours(node.openingHoursSpecification || node.openingHours);
+            details.description ??= cleanText(node.description);
+            details.email ??= cleanText(String(node.email || '').replace('mailto:', ''));
+        }
+    });
+
+    return details;
+};
+
+const extractBranchDetailsFromHtml = ($) => {
+    const details = {};
+
+    // Phone links are usually labelled "Sales" / "Lettings" by their surrounding block
+    const phones = [];
+    $('a[href^="tel:"]').each((_, linkEl) => {
+        const link = $(linkEl);
+        const label = getPhoneLabel(`${link.attr('aria-label') || ''} ${link.text()} ${link.parent().text()}`);
+        const [phone] = parseUkPhones(link.attr('href'), {
+            tracked: link.is('[data-call-tracking], [data-tracked], [class*="tracked" i]'),
+            label,
+        });
+        if (!phone) return;
+        phones.push(phone);
+        if (label === 'lettings') details.lettingsPhone ??= phone.national;
+        else if (label === 'sales') details.salesPhone ??= phone.national;
+    });
+    details.phones = phones;
+
+    const mailto = $('a[href^="mailto:"]').first().attr('href');
+    if (mailto) details.email = cleanText(mailto.replace('mailto:', '').split('?')[0]);
+
+    const contactHref = $('a[href*="contact"], a[href*="email-agent"]').first().attr('href');
+    if (contactHref) details.contactFormUrl = ensureAbsoluteUrl(contactHref);
+
+    const description = cleanText(
+        $('[data-testid*="description" i]').first().text() ||
+        $('section[class*="about" i], div[class*="description" i]').first().text()
+    );
+    if (description) details.description = description;
+
+    const hoursRows = $('[data-testid*="opening" i] li, [class*="opening" i] li, [class*="opening" i] tr')
+        .map((_, row) => cleanText($(row).text()))
+        .get()
+        .filter((row) => row && DAY_NAMES.some((day) => row.includes(day.slice(0, 3))));
+    if (hoursRows.length) details.openingHours = hoursRows;
+
+    return details;
+};
+
+// Merge branch page details: __NEXT_DATA__ first, then JSON-LD, then HTML for whatever is still missing.
+// `phones` is the union of every number found on the page.
+export const extractBranchDetails = (html) => {
+    const $ = cheerioLoad(html);
+    const sources = [
+        extractBranchDetailsFromNextData(extractNextDataFromHtml(html)),
+        extractBranchDetailsFromJsonLd($),
+        extractBranchDetailsFromHtml($),
+    ];
+
+    const details = {
+        openingHours: null,
+        description: null,
+        email: null,
+        contactFormUrl: null,
+        salesPhone: null,
+        lettingsPhone: null,
+    };
+    for (const source of sources) {
+        for (const [key, value] of Object.entries(source)) {
+            if (key !== 'phones' && details[key] == null && value != null) details[key] = value;
+        }
+    }
+    details.phones = mergePhoneLists(...sources.map((source) => source.phones || []));
+    return details;
+};
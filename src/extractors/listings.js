@@ -0,0 +1,122 @@
+/**
+ * Agent property listing extraction (includeListings mode)
+ */
+
+import { load as cheerioLoad } from 'cheerio';
+
+import { cleanText, ensureAbsoluteUrl, extractNextDataFromHtml, parseNumber } from '../utils.js';
+
+const LISTING_URL_REGEX = /\/(for-sale|to-rent|new-homes)\/details\/(\d+)/;
+const PROPERTY_TYPE_REGEX =
+    /\b(semi-detached house|detached house|terraced house|end of terrace house|town house|flat|apartment|maisonette|studio|bungalow|cottage|land|house)\b/i;
+
+const normalizeListingDate = (value) => {
+    const text = cleanText(value);
+    if (!text) return null;
+    // "Added on 3rd Jan 2026" / "Listed on 3 January 2026"
+    const stripped = text.replace(/^(added|listed|reduced)( on)?\s+/i, '').replace(/(\d+)(st|nd|rd|th)/, '$1');
+    const date = new Date(/\d{4}-\d{2}-\d{2}/.test(stripped) ? stripped : `${stripped} UTC`);
+    return Number.isNaN(date.getTime()) ? text : date.toISOString().slice(0, 10);
+};
+
+const isReducedListing = (listing) => {
+    if (listing.isReduced || listing.priceReduced || listing.reduced) return true;
+    const flags = [listing.flags, listing.tags, listing.priceDrop && 'reduced', listing.priceTitle].flat().filter(Boolean);
+    return flags.some((flag) => /reduc/i.test(typeof flag === 'object' ? flag.label || flag.tag || '' : flag));
+};
+
+export const normalizeZooplaListing = (listing, channel, source) => {
+    if (!listing || typeof listing !== 'object') return null;
+
+    const listingId = listing.listingId || listing.id;
+    if (!listingId) return null;
+
+    const priceText = cleanText(listing.price || listing.priceTitle || listing.pricing?.label);
+    const address = cleanText(listing.address || listing.displayAddress || listing.title?.address);
+    const features = listing.features || listing.attributes || {};
+    const path = listing.listingUris?.detail || listing.uri || listing.url || `/${channel === 'rent' ? 'to-rent' : 'for-sale'}/details/${listingId}/`;
+
+    return {
+        listingId: String(listingId),
+        channel,
+        url: ensureAbsoluteUrl(String(path).split('?')[0]),
+        price: parseNumber(listing.priceUnformatted ?? listing.pricing?.value ?? priceText),
+        priceText,
+        bedrooms: parseNumber(listing.numBedrooms ?? listing.bedrooms ?? features.bedrooms ?? listing.beds),
+        bathrooms: parseNumber(listing.numBathrooms ?? listing.bathrooms ?? features.bathrooms ?? listing.baths),
+        propertyType: cleanText(listing.propertyType || listing.property_type || listing.title?.propertyType)?.toLowerCase() || null,
+        address,
+        dateAdded: normalizeListingDate(listing.publishedOn || listing.addedOn || listing.listedOn || listing.firstPublishedDate),
+        reduced: isReducedListing(listing),
+        source,
+    };
+};
+
+// Search result pages keep their listings under a few different keys
+const findListingsInNextData = (nextData) => {
+    const pageProps = nextData?.props?.pageProps;
+    if (!pageProps) return null;
+    const candidates = [
+        pageProps.regularListingsFormatted,
+        pageProps.listings?.regular,
+        pageProps.data?.listings?.regular,
+        pageProps.data?.listings?.results,
+        pageProps.data?.listings,
+        pageProps.listings,
+    ];
+    return candidates.find((candidate) => Array.isArray(candidate)) || null;
+};
+
+const extractListingsFromNextData = (nextData, channel) => {
+    const results = findListingsInNextData(nextData);
+    if (!results) return { listings: [], totalCount: 0 };
+
+    const { pageProps } = nextData.props;
+    const pagination = pageProps.pagination || pageProps.data?.pagination || {};
+    const totalCount = parseNumber(pageProps.totalResults ?? pagination.totalResults ?? pageProps.data?.listings?.totalCount) || results.length;
+
+    const listings = results.map((listing) => normalizeZooplaListing(listing, channel, 'api')).filter(Boolean);
+    return { listings, totalCount };
+};
+
+const extractListingsFromHtml = ($, channel) => {
+    const results = [];
+    const seen = new Set();
+
+    $('a[href*="/details/"]').each((_, linkEl) => {
+        const link = $(linkEl);
+        const match = link.attr('href')?.match(LISTING_URL_REGEX);
+        if (!match || seen.has(match[2])) return;
+        seen.add(match[2]);
+
+        const card = link.closest('[data-testid*="listing" i], article, li, div[class*="listing" i]');
+        const cardText = cleanText(card.text()) || '';
+
+        const normalized = normalizeZooplaListing(
+            {
+                id: match[2],
+                url: link.attr('href'),
+                price: card.find('[data-testid*="price" i], [class*="price" i]').first().text(),
+                bedrooms: cardText.match(/(\d+)\s*bed/i)?.[1],
+                bathrooms: cardText.match(/(\d+)\s*bath/i)?.[1],
+                propertyType: cardText.match(PROPERTY_TYPE_REGEX)?.[1],
+                address: card.find('address').first().text(),
+                addedOn: cardText.match(/(?:Added|Listed) on\s+(\d{1,2}(?:st|nd|rd|th)?\s+\w+\s+\d{4})/i)?.[1],
+                reduced: /\breduced\b/i.test(cardText),
+            },
+            channel,
+            'html',
+        );
+        if (normalized) results.push(normalized);
+    });
+
+    return results;
+};
+
+// __NEXT_DATA__ first, then listing cards in the HTML
+export const extractListings = (html, channel) => {
+    const fromNextData = extractListingsFromNextData(extractNextDataFromHtml(html), channel);
+    if (fromNextData.listings.length) return fromNextData;
+
+    return { listings: extractListingsFromHtml(cheerioLoad(html), channel), totalCount: fromNextData.totalCount };
+};
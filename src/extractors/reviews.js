@@ -0,0 +1,138 @@
+/**
+ * Review page extraction (includeReviews mode)
+ */
+
+import { load as cheerioLoad } from 'cheerio';
+
+import { cleanText, extractNextDataFromHtml, parseNumber, safeJsonParse } from '../utils.js';
+import { findBranchInNextData } from './branch.js';
+
+// Reviewers are shown as initials only ("J. S.") - keep them as Zoopla displays them
+const toInitials = (value) => {
+    const text = cleanText(value);
+    if (!text) return null;
+    if (/^([A-Z]\.?\s?){1,3}$/.test(text)) return text;
+    return text
+        .split(/\s+/)
+        .map((part) => `${part[0].toUpperCase()}.`)
+        .join(' ');
+};
+
+const normalizeReviewDate = (value) => {
+    const text = cleanText(value);
+    if (!text) return null;
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? text : date.toISOString().slice(0, 10);
+};
+
+const normalizeReviewService = (value) => {
+    const text = cleanText(value);
+    if (!text) return null;
+    if (/letting|rent|landlord|tenant/i.test(text)) return 'lettings';
+    if (/sale|sell|buy|vendor/i.test(text)) return 'sales';
+    return text.toLowerCase();
+};
+
+export const normalizeZooplaReview = (review, source) => {
+    if (!review || typeof review !== 'object') return null;
+
+    const author = typeof review.author === 'object' ? review.author?.name : review.author;
+    const reviewRating = review.reviewRating || {};
+    const reply = review.reply || review.agentReply || review.response;
+    const reviewId = review.id || review.reviewId;
+
+    const text = cleanText(review.text || review.body || review.reviewBody || review.review || review.content || review.comment);
+    const rating = parseNumber(review.rating || review.score || review.overallRating || reviewRating.ratingValue);
+    if (!text && rating == null) return null;
+
+    return {
+        reviewId: reviewId ? String(reviewId) : null,
+        authorInitials: toInitials(author || review.reviewerName || review.authorName || review.initials),
+        date: normalizeReviewDate(review.date || review.datePublished || review.createdAt || review.publishedDate),
+        rating,
+        text,
+        agentReply: cleanText(typeof reply === 'object' ? reply?.text || reply?.body : reply),
+        service: normalizeReviewService(review.service || review.serviceType || review.reviewType || review.category),
+        source,
+    };
+};
+
+const extractReviewsFromNextData = (nextData) => {
+    const pageProps = nextData?.props?.pageProps;
+    const container = pageProps?.data?.reviews || pageProps?.reviews || findBranchInNextData(nextData)?.reviews;
+    if (!container) return { reviews: [], totalCount: 0 };
+
+    const results = Array.isArray(container) ? container : container.results || container.items || [];
+    const totalCount = (!Array.isArray(container) && (container.totalCount || container.total)) || results.length;
+
+    const reviews = results.map((review) => normalizeZooplaReview(review, 'api')).filter(Boolean);
+    return { reviews, totalCount };
+};
+
+const extractReviewsFromJsonLd = ($) => {
+    const results = [];
+
+    $('script[type="application/ld+json"]').each((_, scriptEl) => {
+        const parsed = safeJsonParse($(scriptEl).contents().text());
+
+        const walk = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(walk);
+                return;
+            }
+            const nodeType = node['@type'];
+            const types = Array.isArray(nodeType) ? nodeType : [nodeType];
+            if (types.includes('Review')) {
+                const normalized = normalizeZooplaReview(node, 'json-ld');
+                if (normalized) results.push(normalized);
+                return;
+            }
+            for (const value of Object.values(node)) {
+                if (value && typeof value === 'object') walk(value);
+            }
+        };
+        walk(parsed);
+    });
+
+    return results;
+};
+
+const extractReviewsFromHtml = ($) => {
+    const results = [];
+
+    const cardSelector = '[data-testid*="review" i], article[class*="review" i], li[class*="review" i]';
+    $(cardSelector).each((_, reviewEl) => {
+        const card = $(reviewEl);
+        // Skip wrappers that contain other review cards
+        if (card.find(cardSelector).length) return;
+
+        const starLabel = card.find('[aria-label*="star" i], [aria-label*="out of 5" i]').first().attr('aria-label');
+        const normalized = normalizeZooplaReview(
+            {
+                author: card.find('[class*="author" i], [class*="reviewer" i]').first().text(),
+                date: card.find('time').first().attr('datetime') || card.find('time').first().text(),
+                rating: starLabel?.match(/\d+(\.\d+)?/)?.[0],
+                text: card.find('p, [class*="body" i], [class*="text" i]').first().text(),
+                reply: card.find('[class*="reply" i], [class*="response" i]').first().text(),
+                service: card.find('[class*="service" i], [class*="type" i]').first().text(),
+            },
+            'html',
+        );
+        if (normalized) results.push(normalized);
+    });
+
+    return results;
+};
+
+// Same tier order as the directory pages: __NEXT_DATA__, then JSON-LD, then HTML
+export const extractReviews = (html) => {
+    const fromNextData = extractReviewsFromNextData(extractNextDataFromHtml(html));
+    if (fromNextData.reviews.length) return fromNextData;
+
+    const $ = cheerioLoad(html);
+    const fromJsonLd = extractReviewsFromJsonLd($);
+    if (fromJsonLd.length) return { reviews: fromJsonLd, totalCount: fromNextData.totalCount };
+
+    return { reviews: extractReviewsFromHtml($), totalCount: fromNextData.totalCount };
+};
@@ -0,0 +1,176 @@
+/**
+ * Agent website enrichment (enrichWebsites mode): emails, social profiles, company number, memberships and team size
+ */
+
+import { load as cheerioLoad } from 'cheerio';
+
+import { cleanText, safeJsonParse } from '../utils.js';
+
+export const SOCIAL_NETWORKS = {
+    facebook: /(^|\.)facebook\.com$/,
+    instagram: /(^|\.)instagram\.com$/,
+    linkedin: /(^|\.)linkedin\.com$/,
+    x: /(^|\.)(twitter|x)\.com$/,
+};
+
+// Badge text, logo alt text and logo file names all count; the order is the order reported
+export const MEMBERSHIPS = [
+    ['Propertymark', /propertymark/i],
+    ['NAEA', /\bNAEA\b|national association of estate agents/i],
+    ['ARLA', /\bARLA\b|association of residential letting agents/i],
+    ['The Property Ombudsman', /property\s*ombudsman|\bTPO\b/i],
+    ['Property Redress Scheme', /property\s*redress/i],
+    ['RICS', /\bRICS\b|royal institution of chartered surveyors/i],
+    ['Client Money Protect', /client\s*money\s*protect|\bCMP\b/i],
+    ['safeagent', /safe\s*agent/i],
+];
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+const VALID_EMAIL_REGEX = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/i;
+// Retina image names ("logo@2x.png") and placeholder or tracking addresses look like emails but are not
+const IGNORED_EMAIL_REGEX = /\.(png|jpe?g|gif|svg|webp)$|@(example\.|domain\.|email\.|sentry|wixpress\.com)/i;
+
+// England/Wales numbers are 8 digits, Scottish and NI ones start SC/NI; "Registered in England No. 01234567"
+const COMPANY_NUMBER_REGEX = /(?:company|registration|registered(?:\s+in\s+[a-z &]+?)?)\s*(?:no\.?|number|num\.?)?\s*[.:#]?\s*((?:SC|NI|OC|SO|NC)?\d{6,8})\b/i;
+
+const PAGE_LINK_REGEX = /contact|about|team|staff|people|meet-the|who-we-are/i;
+
+const toHost = (value) => {
+    try {
+        return new URL(value).hostname.replace(/^www\./, '').toLowerCase();
+    } catch {
+        return null;
+    }
+};
+
+// Text nodes joined with spaces - $('body').text() runs "info@agent.co.uk" into the next element's text
+const getVisibleText = ($) =>
+    $('body, body *')
+        .not('script, style, noscript')
+        .contents()
+        .toArray()
+        .filter((node) => node.type === 'text')
+        .map((node) => node.data)
+        .join(' ');
+
+const decodeMailto = (href) => {
+    const address = href.replace(/^mailto:/i, '').split('?')[0];
+    try {
+        return decodeURIComponent(address);
+    } catch {
+        return address;
+    }
+};
+
+export const extractEmails = ($) => {
+    const fromLinks = $('a[href^="mailto:" i]')
+        .toArray()
+        .map((el) => decodeMailto($(el).attr('href') || ''));
+    const fromText = getVisibleText($).match(EMAIL_REGEX) || [];
+    const emails = [...fromLinks, ...fromText].map((email) => email.trim().toLowerCase());
+    return [...new Set(emails)].filter((email) => VALID_EMAIL_REGEX.test(email) && !IGNORED_EMAIL_REGEX.test(email));
+};
+
+// Profile links only - share buttons ("sharer.php", "intent/tweet") point at the network, not the agent
+export const extractSocialLinks = ($) => {
+    const links = {};
+    for (const el of $('a[href]').toArray()) {
+        const href = $(el).attr('href');
+        const host = toHost(href);
+        if (!host || /share|intent|plugins|dialog/i.test(href)) continue;
+        const network = Object.keys(SOCIAL_NETWORKS).find((name) => SOCIAL_NETWORKS[name].test(host));
+        if (network && !links[network]) links[network] = href.split('?')[0];
+    }
+    return links;
+};
+
+export const extractCompanyNumber = (text) => {
+    const match = cleanText(text)?.match(COMPANY_NUMBER_REGEX);
+    if (!match) return null;
+    const number = match[1].toUpperCase();
+    return /^\d+$/.test(number) ? number.padStart(8, '0') : number;
+};
+
+export const extractMemberships = ($) => {
+    const badgeText = [
+        getVisibleText($),
+        ...$('img')
+            .toArray()
+            .map((el) => `${$(el).attr('alt') || ''} ${$(el).attr('src') || ''} ${$(el).attr('title') || ''}`),
+    ].join(' ');
+    return MEMBERSHIPS.filter(([, pattern]) => pattern.test(badgeText)).map(([name]) => name);
+};
+
+// People listed on a team page: JSON-LD Person entries, otherwise team member cards
+export const extractTeamSize = ($) => {
+    const people = $('script[type="application/ld+json"]')
+        .toArray()
+        .flatMap((el) => {
+            const data = safeJsonParse($(el).contents().text());
+            const items = Array.isArray(data) ? data : data?.['@graph'] || [data];
+            return items.filter((item) => item?.['@type'] === 'Person');
+        });
+    if (people.length) return people.length;
+    const cards = $('[class*="team-member" i], [class*="staff-member" i], [class*="team-card" i], [itemtype*="schema.org/Person"]').length;
+    return cards || null;
+};
+
+// Only the agent's own site is crawled - some records link back to Zoopla or to a portal page
+export const isAgentWebsite = (value) => {
+    const host = toHost(value);
+    return Boolean(host) && /^https?:/i.test(value) && !/(^|\.)(zoopla|rightmove|onthemarket)\.co\.uk$/.test(host);
+};
+
+// Contact, about and team pages on the agent's own site, contact pages first
+export const findEnrichmentLinks = (html, baseUrl) => {
+    const $ = cheerioLoad(html);
+    const host = toHost(baseUrl);
+    const links = new Set();
+    for (const el of $('a[href]').toArray()) {
+        const href = $(el).attr('href');
+        if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) continue;
+        let url;
+        try {
+            url = new URL(href, baseUrl);
+        } catch {
+            continue;
+        }
+        url.hash = '';
+        if (toHost(url.href) !== host || !PAGE_LINK_REGEX.test(`${url.pathname} ${$(el).text()}`)) continue;
+        links.add(url.href);
+    }
+    return [...links].sort((a, b) => Number(/contact/i.test(b)) - Number(/contact/i.test(a)));
+};
+
+export const extractWebsiteDetails = (html) => {
+    const $ = cheerioLoad(html);
+    return {
+        emails: extractEmails($),
+        socialLinks: extractSocialLinks($),
+        companyNumber: extractCompanyNumber(getVisibleText($)),
+        memberships: extractMemberships($),
+        teamSize: extractTeamSize($),
+    };
+};
+
+/**
+ * Pages of one website merged into the fields added to the agent record. An email Zoopla already gave stays first,
+ * then emails on the agent's own domain; the largest team count wins.
+ */
+export const mergeWebsiteDetails = (pages, { website, email = null } = {}) => {
+    const host = toHost(website);
+    const found = pages
+        .flatMap((page) => page.emails)
+        .sort((a, b) => Number(b.endsWith(`@${host}`)) - Number(a.endsWith(`@${host}`)));
+    const emails = [...new Set([email, ...found].filter(Boolean))];
+    const teamSizes = pages.map((page) => page.teamSize).filter(Boolean);
+    return {
+        email: emails[0] || null,
+        emails,
+        socialLinks: Object.assign({}, ...pages.map((page) => page.socialLinks).reverse()),
+        companyNumber: pages.map((page) => page.companyNumber).find(Boolean) || null,
+        memberships: MEMBERSHIPS.map(([name]) => name).filter((name) => pages.some((page) => page.memberships.includes(name))),
+        teamSize: teamSizes.length ? Math.max(...teamSizes) : null,
+        websitePagesVisited: pages.length,
+    };
+};
@@ -0,0 +1,93 @@
+/**
+ * Input filters applied to normalized directory agents before they take a place in the budget
+ */
+
+import { normalizeCompanyKey } from './companies.js';
+import { cleanText } from './utils.js';
+
+// Numeric bounds: input name -> agent field; an agent without the field fails any bound set on it
+export const RANGE_FILTERS = {
+    minRating: ['rating', 'min'],
+    minReviewCount: ['reviewCount', 'min'],
+    minListingsForSale: ['listingsForSale', 'min'],
+    maxListingsForSale: ['listingsForSale', 'max'],
+    minListingsToRent: ['listingsToRent', 'min'],
+    maxListingsToRent: ['listingsToRent', 'max'],
+    minAvgAskingPrice: ['avgAskingPrice', 'min'],
+    maxAvgAskingPrice: ['avgAskingPrice', 'max'],
+    minAvgRentPrice: ['avgRentPrice', 'min'],
+    maxAvgRentPrice: ['avgRentPrice', 'max'],
+};
+export const FEATURED_FILTERS = ['any', 'only', 'exclude'];
+
+const isNumberInput = (value) => value !== null && value !== '' && Number.isFinite(+value);
+
+const toCompanyKeys = (values) => (Array.isArray(values) ? values.map(normalizeCompanyKey).filter(Boolean) : []);
+
+// "SW", "sw11" and "SW11 1AA" all become allow-list entries: an area, an outward code or the outward part of a postcode
+const toPostcodeEntries = (values) =>
+    (Array.isArray(values) ? values : [])
+        .map((value) => cleanText(value)?.toUpperCase().replace(/\s+/g, ''))
+        .filter(Boolean)
+        .map((value) => (/^[A-Z]{1,2}\d[A-Z\d]?\d[A-Z]{2}$/.test(value) ? value.slice(0, -3) : value));
+
+// Whole words of the normalized name: "connells" matches "Connells Lettings" but not "O'Connells Estates"
+const matchesCompany = (companyKey, keys) => keys.some((key) => ` ${companyKey} `.includes(` ${key} `));
+
+/**
+ * The filters set in the input, or null when there are none.
+ * Invalid numbers are ignored; `ranges` lists [name, field, bound, limit] for every bound in use.
+ */
+export const parseAgentFilters = (input = {}) => {
+    const ranges = Object.entries(RANGE_FILTERS)
+        .filter(([name]) => isNumberInput(input[name]))
+        .map(([name, [field, bound]]) => [name, field, bound, +input[name]]);
+    const featured = FEATURED_FILTERS.includes(input.featured) ? input.featured : 'any';
+    const includeCompanies = toCompanyKeys(input.includeCompanies);
+    const excludeCompanies = toCompanyKeys(input.excludeCompanies);
+    const postcodeAreas = toPostcodeEntries(input.postcodeAreas);
+
+    if (!ranges.length && featured === 'any' && !includeCompanies.length && !excludeCompanies.length && !postcodeAreas.length) return null;
+    return { ranges, featured, includeCompanies, excludeCompanies, postcodeAreas };
+};
+
+/**
+ * Why an agent is filtered out, or null when it passes every filter.
+ * The reason is the input name, so RUN_REPORT can count agents per filter.
+ */
+export const getFilterReason = (agent, filters) => {
+    if (!filters) return null;
+    for (const [name, field, bound, limit] of filters.ranges) {
+        const value = agent[field];
+        if (typeof value !== 'number' || (bound === 'min' ? value < limit : value > limit)) return name;
+    }
+    if (filters.featured === 'only' && !agent.featured) return 'featured';
+    if (filters.featured === 'exclude' && agent.featured) return 'featured';
+
+    // The company name is split from the display name when Zoopla has no separate field, so one of them is always set
+    const companyKey = normalizeCompanyKey(agent.companyName || agent.name) || '';
+    if (filters.includeCompanies.length && !matchesCompany(companyKey, filters.includeCompanies)) return 'includeCompanies';
+    if (matchesCompany(companyKey, filters.excludeCompanies)) return 'excludeCompanies';
+
+    if (filters.postcodeAreas.length) {
+        const outwardCode = agent.outwardCode?.toUpperCase();
+        const area = outwardCode?.match(/^[A-Z]+/)?.[0];
+        if (!outwardCode || !filters.postcodeAreas.some((entry) => entry === outwardCode || entry === area)) return 'postcodeAreas';
+    }
+    return null;
+};
+
+// Agents filtered out, per filter, for RUN_REPORT; `restored` is a previous snapshot() when a run resumes
+export const createFilterStats = (restored = null) => {
+    const stats = restored || { checked: 0, passed: 0, filteredBy: {} };
+
+    const record = (reason) => {
+        stats.checked++;
+        if (reason) stats.filteredBy[reason] = (stats.filteredBy[reason] || 0) + 1;
+        else stats.passed++;
+    };
+
+    const snapshot = () => stats;
+
+    return { record, snapshot };
+};
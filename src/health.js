@@ -0,0 +1,92 @@
+/**
+ * Extraction health monitoring: which tier served each directory page and how well fields are filled
+ */
+
+export const HEALTH_REPORT_KEY = 'RUN_REPORT';
+export const HEALTH_TIERS = ['api', 'json-ld', 'html', 'none'];
+
+// Fields whose fill rate is reported - the ones downstream imports rely on
+export const MONITORED_FIELDS = [
+    'phone',
+    'postalCode',
+    'website',
+    'logo',
+    'rating',
+    'reviewCount',
+    'listingsForSale',
+    'listingsToRent',
+];
+
+// Collects per-page statistics during the crawl; tier is the `source` of the records the page produced, or 'none'.
+// `restored` is a previous snapshot() when a run resumes.
+export const createHealthStats = (restored = null) => {
+    const pages = [...(restored?.pages || [])];
+    const tierCounts = Object.fromEntries(HEALTH_TIERS.map((tier) => [tier, restored?.tierCounts?.[tier] || 0]));
+    const fieldCounts = Object.fromEntries(MONITORED_FIELDS.map((field) => [field, restored?.fieldCounts?.[field] || 0]));
+    let nextDataWithoutAgents = restored?.nextDataWithoutAgents || 0;
+    let agentCount = restored?.agentCount || 0;
+
+    const recordPage = ({ url, tier, hasNextData, agents }) => {
+        pages.push({ url, tier, agentCount: agents.length });
+        tierCounts[tier]++;
+        // __NEXT_DATA__ present but nothing at props.pageProps.data.agents.results - the path has probably moved
+        if (hasNextData && tier !== 'api') nextDataWithoutAgents++;
+
+        agentCount += agents.length;
+        for (const agent of agents) {
+            for (const field of MONITORED_FIELDS) {
+                if (agent[field] != null && agent[field] !== '') fieldCounts[field]++;
+            }
+        }
+    };
+
+    const snapshot = () => ({ pages, tierCounts, fieldCounts, nextDataWithoutAgents, agentCount });
+
+    return { recordPage, snapshot };
+};
+
+const toRate = (count, total) => (total ? Math.round((count / total) * 1000) / 1000 : null);
+
+/**
+ * Builds the run report and checks it against the thresholds.
+ * Rates are fractions between 0 and 1; a threshold left null is not checked.
+ */
+export const buildHealthReport = (healthStats, { maxHtmlFallbackRate = null, minPhoneCoverage = null } = {}) => {
+    const stats = healthStats.snapshot();
+    const pageCount = stats.pages.length;
+    const tierRates = Object.fromEntries(
+        Object.entries(stats.tierCounts).map(([tier, count]) => [tier, toRate(count, pageCount)]),
+    );
+    const fieldFillRates = Object.fromEntries(
+        Object.entries(stats.fieldCounts).map(([field, count]) => [field, toRate(count, stats.agentCount)]),
+    );
+
+    const violations = [];
+    if (maxHtmlFallbackRate != null && tierRates.html != null && tierRates.html > maxHtmlFallbackRate) {
+        violations.push(
+            `${Math.round(tierRates.html * 100)}% of pages fell back to HTML parsing (limit ${Math.round(maxHtmlFallbackRate * 100)}%)`,
+        );
+    }
+    if (minPhoneCoverage != null && fieldFillRates.phone != null && fieldFillRates.phone < minPhoneCoverage) {
+        violations.push(
+            `phone coverage is ${Math.round(fieldFillRates.phone * 100)}% (minimum ${Math.round(minPhoneCoverage * 100)}%)`,
+        );
+    }
+    if (stats.nextDataWithoutAgents) {
+        violations.push(`${stats.nextDataWithoutAgents} page(s) had __NEXT_DATA__ without agent results - the data path may have moved`);
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        pageCount,
+        agentCount: stats.agentCount,
+        tierCounts: stats.tierCounts,
+        tierRates,
+        nextDataWithoutAgents: stats.nextDataWithoutAgents,
+        fieldFillRates,
+        thresholds: { maxHtmlFallbackRate, minPhoneCoverage },
+        violations,
+        healthy: violations.length === 0,
+        pages: stats.pages,
+    };
+};
@@ -0,0 +1,169 @@
+/**
+ * Market metrics history: one point per agent and run date in a named dataset, and the week-on-week trend summary
+ */
+
+export const DEFAULT_HISTORY_DATASET = 'zoopla-agent-history';
+export const TRENDS_KEY = 'TRENDS';
+export const HISTORY_METRICS = ['listingsForSale', 'listingsToRent', 'avgAskingPrice', 'avgRentPrice', 'rating', 'reviewCount'];
+
+// A run is compared with the latest point at least this old, so daily and weekly schedules both give week-on-week figures
+export const BASELINE_DAYS = 7;
+// A jump or collapse also needs this many listings either way, so a branch going from 2 to 4 is not flagged
+const MIN_STOCK_MOVE = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => (values.length ? sum(values) / values.length : null);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+// Listings for sale and to rent together; null when Zoopla gave neither
+const getStock = (point) =>
+    point.listingsForSale == null && point.listingsToRent == null ? null : (point.listingsForSale || 0) + (point.listingsToRent || 0);
+
+// Only records with an agent ID can be followed from run to run
+export const toHistoryPoint = (record) => {
+    if (!record?.agentId) return null;
+    return {
+        agentId: String(record.agentId),
+        date: (record.scrapedAt || new Date().toISOString()).slice(0, 10),
+        name: record.name ?? null,
+        companyName: record.companyName ?? null,
+        locality: record.locality ?? null,
+        outwardCode: record.outwardCode ?? null,
+        ...Object.fromEntries(HISTORY_METRICS.map((metric) => [metric, record[metric] ?? null])),
+    };
+};
+
+// This run's points, one per agent; `restored` is a previous getState() when a run resumes
+export const createHistoryRecorder = (restored = {}) => {
+    const points = new Map(Object.entries(restored));
+
+    const add = (record) => {
+        const point = toHistoryPoint(record);
+        if (point) points.set(point.agentId, point);
+    };
+
+    const getPoints = () => [...points.values()];
+
+    const getState = () => Object.fromEntries(points);
+
+    return { add, getPoints, getState };
+};
+
+/**
+ * Every stored point grouped per agent, oldest first. A date recorded twice (a re-run on the same day,
+ * or a restart after the points were pushed) keeps its last point.
+ */
+export const groupHistory = (points) => {
+    const byAgent = new Map();
+    for (const point of points) {
+        if (!point?.agentId || !point.date) continue;
+        if (!byAgent.has(point.agentId)) byAgent.set(point.agentId, new Map());
+        byAgent.get(point.agentId).set(point.date, point);
+    }
+    return new Map([...byAgent].map(([agentId, dates]) => [agentId, [...dates.values()].sort((a, b) => a.date.localeCompare(b.date))]));
+};
+
+const change = (current, baseline, field, digits = 0) =>
+    current[field] == null || baseline?.[field] == null ? null : round(current[field] - baseline[field], digits);
+
+const getMovement = (stockChange, stockChangePercent, baselineStock, jumpPercent) => {
+    if (stockChange == null) return null;
+    if (stockChange >= MIN_STOCK_MOVE && (baselineStock === 0 || stockChangePercent >= jumpPercent)) return 'jumped';
+    if (stockChange <= -MIN_STOCK_MOVE && stockChangePercent <= -jumpPercent) return 'collapsed';
+    return 'steady';
+};
+
+// One agent's point today against its baseline; the change fields are null until the history is a week old
+export const buildAgentTrend = (current, series = [], { jumpPercent = 50 } = {}) => {
+    const baseline = series.filter((point) => daysBetween(point.date, current.date) >= BASELINE_DAYS).at(-1) || null;
+    const stock = getStock(current);
+    const baselineStock = baseline ? getStock(baseline) : null;
+    const stockChange = stock == null || baselineStock == null ? null : stock - baselineStock;
+    const stockChangePercent = stockChange != null && baselineStock > 0 ? round((stockChange / baselineStock) * 100, 1) : null;
+
+    return {
+        agentId: current.agentId,
+        name: current.name,
+        companyName: current.companyName,
+        locality: current.locality,
+        date: current.date,
+        baselineDate: baseline?.date ?? null,
+        daysCompared: baseline ? daysBetween(baseline.date, current.date) : null,
+        stock,
+        stockChange,
+        stockChangePercent,
+        listingsForSaleChange: change(current, baseline, 'listingsForSale'),
+        listingsToRentChange: change(current, baseline, 'listingsToRent'),
+        avgAskingPriceChange: change(current, baseline, 'avgAskingPrice'),
+        avgRentPriceChange: change(current, baseline, 'avgRentPrice'),
+        rating: current.rating,
+        ratingChange: change(current, baseline, 'rating', 2),
+        reviewCountChange: change(current, baseline, 'reviewCount'),
+        movement: getMovement(stockChange, stockChangePercent, baselineStock, jumpPercent),
+    };
+};
+
+const summarizeLocality = (locality, trends) => {
+    const compared = trends.filter((trend) => trend.stockChange != null);
+    const baselineStock = sum(compared.map((trend) => trend.stock - trend.stockChange));
+    const stockChange = sum(compared.map((trend) => trend.stockChange));
+    const ratings = trends.map((trend) => trend.rating).filter((rating) => rating != null);
+    const ratingChanges = trends.map((trend) => trend.ratingChange).filter((value) => value != null);
+    return {
+        locality,
+        agentCount: trends.length,
+        comparedCount: compared.length,
+        stock: sum(trends.map((trend) => trend.stock || 0)),
+        stockChange: compared.length ? stockChange : null,
+        stockChangePercent: compared.length && baselineStock ? round((stockChange / baselineStock) * 100, 1) : null,
+        averageRating: ratings.length ? round(mean(ratings), 2) : null,
+        averageRatingChange: ratingChanges.length ? round(mean(ratingChanges), 2) : null,
+        jumped: trends.filter((trend) => trend.movement === 'jumped').length,
+        collapsed: trends.filter((trend) => trend.movement === 'collapsed').length,
+    };
+};
+
+// Biggest movers first, agents without a baseline last
+const getStockMove = (trend) => (trend.stockChangePercent == null ? -1 : Math.abs(trend.stockChangePercent));
+const byStockMove = (a, b) => getStockMove(b) - getStockMove(a) || a.agentId.localeCompare(b.agentId);
+
+/**
+ * The TRENDS record: every agent saved by this run against the history, rolled up per locality,
+ * with the agents whose stock jumped or collapsed listed on their own.
+ */
+export const buildTrendSummary = (currentPoints, historyPoints, { jumpPercent = 50 } = {}) => {
+    const history = groupHistory(historyPoints);
+    const agents = currentPoints.map((point) => buildAgentTrend(point, history.get(point.agentId), { jumpPercent })).sort(byStockMove);
+
+    const byLocality = new Map();
+    for (const trend of agents) {
+        const locality = trend.locality || 'unknown';
+        if (!byLocality.has(locality)) byLocality.set(locality, []);
+        byLocality.get(locality).push(trend);
+    }
+
+    return {
+        date: currentPoints.map((point) => point.date).sort().at(-1) ?? null,
+        baselineDays: BASELINE_DAYS,
+        jumpPercent,
+        agentCount: agents.length,
+        comparedCount: agents.filter((trend) => trend.baselineDate).length,
+        jumped: agents.filter((trend) => trend.movement === 'jumped'),
+        collapsed: agents.filter((trend) => trend.movement === 'collapsed'),
+        localities: [...byLocality]
+            .map(([locality, trends]) => summarizeLocality(locality, trends))
+            .sort((a, b) => b.agentCount - a.agentCount || a.locality.localeCompare(b.locality)),
+        agents,
+    };
+};
+
+// Every point stored so far in the opened history dataset
+export const loadHistoryPoints = async (dataset) => {
+    const points = [];
+    await dataset.forEach((point) => {
+        points.push(point);
+    });
+    return points;
+};
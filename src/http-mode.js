@@ -0,0 +1,67 @@
+/**
+ * Lightweight HTTP mode: pages fetched over HTTP with the cookies, user agent and proxy of a browser session
+ */
+
+import { buildNextDataUrl } from './urls.js';
+import { extractNextDataFromHtml, safeJsonParse } from './utils.js';
+
+// Consecutive failed or blocked HTTP fetches after which the run goes back to the browser for good
+export const MAX_HTTP_FAILURES = 3;
+
+// What an HTTP request needs to pass as the browser that cleared the challenge
+export const captureHttpIdentity = async ({ page, proxyInfo }, buildId) => {
+    const cookies = await page.context().cookies(page.url());
+    return {
+        buildId: buildId || null,
+        userAgent: await page.evaluate(() => navigator.userAgent),
+        cookieHeader: cookies.map((cookie) => `${cookie.name}=${cookie.value}`).join('; '),
+        proxyUrl: proxyInfo?.url || null,
+        capturedAt: new Date().toISOString(),
+    };
+};
+
+// A data route response has pageProps at the top level; the extractors expect the __NEXT_DATA__ document around it
+export const toNextDataDocument = (json, buildId) => (json?.pageProps ? { buildId, props: { pageProps: json.pageProps } } : null);
+
+const toRequestOptions = (identity) => ({
+    proxyUrl: identity.proxyUrl || undefined,
+    headers: {
+        'user-agent': identity.userAgent,
+        'accept-language': 'en-GB,en;q=0.9',
+    },
+    // The browser's cookies, not the crawler session's
+    cookieJar: {
+        getCookieString: async () => identity.cookieHeader,
+        setCookie: async () => {},
+    },
+    useHeaderGenerator: false,
+    throwHttpErrors: false,
+});
+
+/**
+ * Fetches a page over HTTP: the Next.js data route for directory pages, the plain HTML otherwise.
+ * A stale buildId (404 after a Zoopla deployment) falls through to the HTML, which carries the new one.
+ * Returns { html, nextData, status }; html is null when the data route answered.
+ */
+export const fetchPageOverHttp = async (sendRequest, url, identity, { useDataRoute = false } = {}) => {
+    const options = toRequestOptions(identity);
+
+    const dataUrl = useDataRoute ? buildNextDataUrl(url, identity.buildId) : null;
+    if (dataUrl) {
+        const response = await sendRequest({
+            ...options,
+            url: dataUrl,
+            headers: { ...options.headers, accept: 'application/json', 'x-nextjs-data': '1' },
+        });
+        const nextData = response.statusCode === 200 ? toNextDataDocument(safeJsonParse(response.body), identity.buildId) : null;
+        if (nextData) return { html: null, nextData, status: response.statusCode };
+    }
+
+    const response = await sendRequest({
+        ...options,
+        url,
+        headers: { ...options.headers, accept: 'text/html,application/xhtml+xml' },
+    });
+    const html = String(response.body || '');
+    return { html, nextData: extractNextDataFromHtml(html), status: response.statusCode };
+};
@@ -9,416 +9,617 @@
  * - Proper proxy integration with PlaywrightCrawler
  */
 
-import { PlaywrightCrawler } from '@crawlee/playwright';
+import { BasicCrawler, PlaywrightCrawler } from '@crawlee/playwright';
 import { Actor, Dataset, log } from 'apify';
 import { launchOptions as camoufoxLaunchOptions } from 'camoufox-js';
 import { firefox } from 'playwright';
-import { load as cheerioLoad } from 'cheerio';
+
+import { ANTI_BOT_MODES, classifyBlock, createBlockStats, createThrottle } from './blocking.js';
+import {
+    classifyAgentChange,
+    DEFAULT_SNAPSHOT_KEY,
+    DEFAULT_SNAPSHOT_STORE,
+    getMissingSnapshotFields,
+    loadPreviousSnapshot,
+    settleUnsavedAgents,
+    toSnapshotRecord,
+} from './change-detection.js';
+import { COMPANIES_KEY, createCompanyAggregator } from './companies.js';
+import {
+    AGENT_TYPES,
+    DEFAULT_LISTINGS_DATASET,
+    DEFAULT_REVIEWS_DATASET,
+    DEFAULT_START_URL,
+    LABELS,
+    RADIUS_OPTIONS,
+} from './constants.js';
+import { buildExport, createFieldShaper, EXPORT_FORMATS } from './exports.js';
+import {
+    dedupeAgents,
+    extractAgentsFromHtml,
+    extractAgentsFromJsonLd,
+    extractAgentsFromNextData,
+    getAgentKey,
+    mergeAgentSources,
+} from './extractors/agents.js';
+import { extractBranchDetails } from './extractors/branch.js';
+import { extractListings } from './extractors/listings.js';
+import { extractReviews } from './extractors/reviews.js';
+import { extractWebsiteDetails, findEnrichmentLinks, isAgentWebsite, mergeWebsiteDetails } from './extractors/website.js';
+import { createFilterStats, getFilterReason, parseAgentFilters } from './filters.js';
+import { buildHealthReport, createHealthStats, HEALTH_REPORT_KEY } from './health.js';
+import {
+    BASELINE_DAYS,
+    buildTrendSummary,
+    createHistoryRecorder,
+    DEFAULT_HISTORY_DATASET,
+    loadHistoryPoints,
+    TRENDS_KEY,
+} from './history.js';
+import { captureHttpIdentity, fetchPageOverHttp, MAX_HTTP_FAILURES } from './http-mode.js';
+import {
+    createReplaySource,
+    DEFAULT_PAGE_SNAPSHOT_STORE,
+    getLiveOutputs,
+    REPLAY_MODES,
+    toPageSnapshot,
+    toPageSnapshotKey,
+} from './page-snapshots.js';
+import { createHeldPages, createPageClaims, createSearchProgress, getPageLimit } from './pagination.js';
+import { buildPhoneFields, mergePhoneLists } from './phone.js';
+import { createPushedIds, loadPushedIds } from './pushed-ids.js';
+import { assessRecord, clearInvalidFields, createQualityStats, getNonAgentReason } from './quality.js';
+import { loadRunState, RUN_STATE_KEY, toStoredRunState } from './run-state.js';
+import {
+    buildAgentListingsUrl,
+    buildLocationSearchUrl,
+    buildReviewsUrlForPage,
+    buildSearchUrlForPage,
+    getSearchLocation,
+    validateDirectoryUrl,
+} from './urls.js';
+import { cleanText, extractNextDataFromHtml } from './utils.js';
+import { createWebhookSink, WEBHOOK_TEMPLATES } from './webhook.js';
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
-const BASE_URL = 'https://www.zoopla.co.uk';
-const DEFAULT_START_URL = 'https://www.zoopla.co.uk/find-agents/estate-agents/london/';
-const MAX_CONCURRENCY = 1;
-const AGENTS_PER_PAGE = 25;
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-const randomDelay = (min = 2000, max = 5000) => min + Math.random() * (max - min);
+const sleep = (ms) =>
+    new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+const isNumberInput = (value) => value !== null && value !== '' && Number.isFinite(+value);
+const toPositiveInt = (value, fallback) => (isNumberInput(value) ? Math.max(1, Math.floor(+value)) : fallback);
+const toNonNegative = (value, fallback) => (isNumberInput(value) ? Math.max(0, +value) : fallback);
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// MAIN ACTOR
 // ============================================================================
-const cleanText = (text) => (text ? String(text).replace(/\s+/g, ' ').trim() : null);
+await Actor.init();
 
-const ensureAbsoluteUrl = (value) => {
-    if (!value) return null;
-    let url = value;
-    if (typeof url === 'object') {
-        url = url.href || url.url || url.value || (typeof url.toString === 'function' ? url.toString() : null);
+try {
+    const input = (await Actor.getInput()) || {};
+
+    // Parse inputs - startUrls may come as plain strings or as { url } request sources
+    const startUrls = Array.isArray(input.startUrls) && input.startUrls.length
+        ? input.startUrls.map((entry) => (typeof entry === 'string' ? entry : entry?.url)).filter(Boolean)
+        : null;
+    const locations = Array.isArray(input.locations) ? input.locations.map(cleanText).filter(Boolean) : [];
+    const agentType = AGENT_TYPES.includes(input.agentType) ? input.agentType : AGENT_TYPES[0];
+    const radius = RADIUS_OPTIONS.includes(String(input.radius ?? '0')) ? String(input.radius ?? '0') : '0';
+
+    const urlTargets = startUrls || (input.startUrl ? [input.startUrl] : []);
+    const invalidUrls = urlTargets
+        .map((url) => ({ url, reason: validateDirectoryUrl(url) }))
+        .filter(({ reason }) => reason);
+    if (invalidUrls.length) {
+        const details = invalidUrls.map(({ url, reason }) => `  - ${url}: ${reason}`).join('\n');
+        log.error(`Unsupported start URLs:\n${details}`);
+        await Actor.exit({ exitCode: 1, statusMessage: `${invalidUrls.length} unsupported start URL(s), see log` });
     }
-    if (typeof url !== 'string') return null;
-    const trimmed = url.trim();
-    if (!trimmed || trimmed.startsWith('data:') || trimmed.startsWith('mailto:') || trimmed.startsWith('tel:')) return null;
-    if (trimmed.startsWith('//')) return `https:${trimmed}`;
-    if (trimmed.startsWith('http')) return trimmed;
-    return `${BASE_URL}${trimmed.startsWith('/') ? '' : '/'}${trimmed}`;
-};
-
-const safeJsonParse = (value) => {
-    if (!value || typeof value !== 'string') return null;
-    try {
-        return JSON.parse(value);
-    } catch {
-        return null;
+
+    // Each target keeps the location it searches so records can be attributed to it
+    const locationTargets = locations
+        .map((location) => ({ url: buildLocationSearchUrl(location, agentType, radius), location }))
+        .filter(({ url }) => url);
+    const targets = [...urlTargets.map((url) => ({ url, location: getSearchLocation(url) })), ...locationTargets];
+    if (!targets.length) targets.push({ url: DEFAULT_START_URL, location: getSearchLocation(DEFAULT_START_URL) });
+
+    // allResults crawls every page Zoopla reports for each search, ignoring results_wanted and max_pages
+    const allResults = Boolean(input.allResults);
+    const resultsWanted = allResults
+        ? Infinity
+        : Math.max(1, Number.isFinite(+input.results_wanted) ? +input.results_wanted : 50);
+    const maxPages = Number.isFinite(+input.max_pages) && input.max_pages !== null ? Math.max(1, +input.max_pages) : null;
+    // perSearch gives every start URL its own results_wanted budget instead of sharing one
+    const perSearchBudget = input.budgetMode === 'perSearch';
+    const mergeDuplicates = Boolean(input.mergeDuplicates);
+    const companySummary = input.companySummary !== false;
+    // Records scoring below minQuality (0-100 completeness) are dropped and give their place in the budget back
+    const minQuality = Math.min(100, toNonNegative(input.minQuality, 0));
+    // Agent filters run on directory records before the budget, so filtered agents do not use up results_wanted
+    const agentFilters = parseAgentFilters(input);
+    // Output shaping applies to dataset items only; change detection and the company summary see full records
+    const outputFields = Array.isArray(input.outputFields) ? input.outputFields.map(cleanText).filter(Boolean) : [];
+    const fieldRenames = Object.fromEntries(
+        Object.entries(input.fieldRenames && typeof input.fieldRenames === 'object' ? input.fieldRenames : {})
+            .map(([from, to]) => [cleanText(from), cleanText(to)])
+            .filter(([from, to]) => from && to),
+    );
+    const renamedTo = Object.values(fieldRenames);
+    if (new Set(renamedTo).size !== renamedTo.length) {
+        log.error('fieldRenames maps two fields to the same name');
+        await Actor.exit({ exitCode: 1, statusMessage: 'fieldRenames maps two fields to the same name' });
     }
-};
-
-const parseNumber = (value) => {
-    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
-    if (!value) return null;
-    const numeric = String(value).replace(/[^\d.]/g, '');
-    return numeric ? Number(numeric) : null;
-};
-
-const extractUkPostcode = (value) => {
-    if (!value) return null;
-    const text = String(value);
-    const patterns = [
-        /\b([A-Z]{1,2}\d{1,2}[A-Z]?\s+\d[A-Z]{2})\b/i,
-        /\b([A-Z]{1,2}\d{1,2}[A-Z]?\d[A-Z]{2})\b/i,
-        /\b([A-Z]{1,2}\d{1,2}[A-Z]?)\s*$/i,
-    ];
-    for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match) return match[1].toUpperCase();
+    const fieldShaper = createFieldShaper({ fields: outputFields, renames: fieldRenames });
+    // A previous dataset is read back through the same renames, but fields left out of it cannot be compared
+    const missingSnapshotFields = input.changeDetection && input.previousDatasetId ? getMissingSnapshotFields(outputFields) : [];
+    if (missingSnapshotFields.length) {
+        const message = `previousDatasetId needs these fields in outputFields: ${missingSnapshotFields.join(', ')} - or leave previousDatasetId empty to use the snapshot store`;
+        log.error(message);
+        await Actor.exit({ exitCode: 1, statusMessage: message });
     }
-    return null;
-};
-
-const normalizePhone = (value) => {
-    if (!value) return null;
-    const raw = String(value).replace('tel:', '').trim();
-    const match = raw.match(/(\+44\s?7\d{3}|\+44\s?\d{2}|\d{2,4})\s?\d{3,4}\s?\d{3,4}/);
-    return match ? match[0].replace(/\s+/g, ' ').trim() : null;
-};
-
-const buildSearchUrlForPage = (startUrl, page) => {
-    const url = new URL(startUrl);
-    url.searchParams.delete('page');
-    if (page > 1) {
-        url.searchParams.set('pn', String(page));
-    } else {
-        url.searchParams.delete('pn');
+    const exportFormats = (Array.isArray(input.exportFormats) ? input.exportFormats : []).filter((format) => {
+        if (EXPORT_FORMATS.includes(format)) return true;
+        log.warning(`Unknown export format "${format}" - supported: ${EXPORT_FORMATS.join(', ')}`);
+        return false;
+    });
+    // Webhook sink: every batch of saved records is also POSTed to webhookUrl
+    const webhookUrl = cleanText(input.webhookUrl);
+    if (webhookUrl && !/^https?:\/\/[^/]+/i.test(webhookUrl)) {
+        log.error(`webhookUrl must be an http(s) URL: ${webhookUrl}`);
+        await Actor.exit({ exitCode: 1, statusMessage: 'webhookUrl must be an http(s) URL' });
     }
-    return url.toString();
-};
-
-// ============================================================================
-// __NEXT_DATA__ EXTRACTION (Direct path access)
-// ============================================================================
-const extractNextDataFromHtml = (html) => {
-    const match = html.match(/<script[^>]+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/i);
-    if (!match) return null;
-    return safeJsonParse(match[1]?.trim());
-};
-
-// Extract agents directly from the correct path in __NEXT_DATA__
-const extractAgentsFromNextData = (nextData) => {
-    if (!nextData?.props?.pageProps?.data?.agents?.results) {
-        return { agents: [], totalCount: 0, buildId: nextData?.buildId || null };
+    const webhookTemplate = WEBHOOK_TEMPLATES.includes(input.webhookTemplate) ? input.webhookTemplate : 'raw';
+    const webhookOptions = {
+        url: webhookUrl,
+        headers: input.webhookHeaders && typeof input.webhookHeaders === 'object' ? input.webhookHeaders : {},
+        secret: cleanText(input.webhookSecret),
+        batchSize: toPositiveInt(input.webhookBatchSize, 25),
+        maxRetries: isNumberInput(input.webhookMaxRetries) ? Math.max(0, Math.floor(+input.webhookMaxRetries)) : 3,
+        template: webhookTemplate,
+        shape: fieldShaper.shape,
+    };
+    // saveHistory: append each agent's market metrics to a named dataset and compare them with a week earlier
+    const saveHistory = Boolean(input.saveHistory);
+    const historyDatasetName = input.historyDatasetName || DEFAULT_HISTORY_DATASET;
+    const stockJumpPercent = toPositiveInt(input.stockJumpPercent, 50);
+    const includeBranchDetails = Boolean(input.includeBranchDetails);
+    const includeReviews = Boolean(input.includeReviews);
+    const maxReviewPages = Number.isFinite(+input.maxReviewPages) ? Math.max(1, +input.maxReviewPages) : 5;
+    const reviewsDataset = includeReviews
+        ? await Actor.openDataset(input.reviewsDatasetName || DEFAULT_REVIEWS_DATASET)
+        : null;
+    // Review and listing records carry the run that pushed them; named datasets keep records of every run
+    const runId = Actor.getEnv().actorRunId || null;
+    // A review is the same whichever run sees it, so one from any earlier run is not pushed again
+    const pushedReviews = reviewsDataset ? await loadPushedIds(reviewsDataset, (review) => review.reviewId) : null;
+    // enrichWebsites: visit each agent's own website (home plus contact/about/team pages) before saving the record
+    const enrichWebsites = Boolean(input.enrichWebsites);
+    const websiteMaxPages = toPositiveInt(input.websiteMaxPages, 3);
+    const includeListings = Boolean(input.includeListings);
+    const maxListingPages = Number.isFinite(+input.maxListingPages) ? Math.max(1, +input.maxListingPages) : 3;
+    const listingsDataset = includeListings
+        ? await Actor.openDataset(input.listingsDatasetName || DEFAULT_LISTINGS_DATASET)
+        : null;
+    // Listings are the stock of the day, so each run records its own; only this run's are checked (none locally)
+    const getListingId = (listing) => listing.listingId;
+    const pushedListings = listingsDataset && runId ? await loadPushedIds(listingsDataset, getListingId, { runId }) : createPushedIds(getListingId);
+
+    // Anti-bot strategy: delays, concurrency and session rotation; adaptive mode tunes delays and concurrency to the block rate
+    const antiBotMode = ANTI_BOT_MODES.includes(input.antiBotMode) ? input.antiBotMode : 'adaptive';
+    const minDelayMs = toNonNegative(input.minDelayMs, 3000);
+    const maxDelayMs = Math.max(minDelayMs, toNonNegative(input.maxDelayMs, 6000));
+    const maxConcurrency = toPositiveInt(input.maxConcurrency, 1);
+    const sessionPoolSize = toPositiveInt(input.sessionPoolSize, 10);
+    const sessionMaxUsage = toPositiveInt(input.sessionMaxUsage, 3);
+    const rotateSessionOnBlock = input.rotateSessionOnBlock !== false;
+    const challengeWaitMs = toNonNegative(input.challengeWaitSecs, 10) * 1000;
+    // httpMode: the browser clears the challenge, later pages are fetched over HTTP with its cookies
+    const httpMode = Boolean(input.httpMode);
+    const throttle = createThrottle({ mode: antiBotMode, minDelayMs, maxDelayMs, maxConcurrency });
+
+    // Page snapshots: savePageSnapshots stores every Zoopla page; replay serves them back instead of crawling
+    const savePageSnapshots = Boolean(input.savePageSnapshots);
+    const replayMode = REPLAY_MODES.includes(input.replay) ? input.replay : 'off';
+    const pageSnapshotStore = savePageSnapshots || replayMode === 'store'
+        ? await Actor.openKeyValueStore(input.pageSnapshotStoreName || DEFAULT_PAGE_SNAPSHOT_STORE)
+        : null;
+    if (replayMode === 'directory' && !cleanText(input.replayDirectory)) {
+        log.error('replay "directory" needs replayDirectory, a folder of saved HTML pages');
+        await Actor.exit({ exitCode: 1, statusMessage: 'replay "directory" needs replayDirectory' });
     }
-
-    const agentsData = nextData.props.pageProps.data.agents;
-    const results = agentsData.results || [];
-    const totalCount = agentsData.totalCount || results.length;
-    const buildId = nextData.buildId || null;
-
-    const agents = results.map((agent) => normalizeZooplaAgent(agent, 'api')).filter(Boolean);
-    return { agents, totalCount, buildId };
-};
-
-// Normalize Zoopla agent record to output format
-const normalizeZooplaAgent = (agent, source) => {
-    if (!agent || typeof agent !== 'object') return null;
-
-    // Extract listing statistics
-    const residential = agent.listingsStatistics?.residential || {};
-    const forSale = residential.forSale || {};
-    const toRent = residential.toRent || {};
-
-    const agentId = agent.id || agent.branchId || null;
-
-    // Extract names properly
-    // displayName is typically "Company Name - Branch Name" or just company name
-    const displayName = cleanText(agent.displayName || agent.name);
-    const branchName = cleanText(agent.branchName);
-
-    // Parse company name from displayName if it contains " - "
-    let companyName = cleanText(agent.companyName || agent.company);
-    let finalBranchName = branchName;
-
-    if (!companyName && displayName) {
-        if (displayName.includes(' - ')) {
-            const parts = displayName.split(' - ');
-            companyName = parts[0].trim();
-            finalBranchName = finalBranchName || parts.slice(1).join(' - ').trim() || companyName;
-        } else {
-            companyName = displayName;
-            finalBranchName = finalBranchName || displayName;
-        }
+    const replaySource = await createReplaySource({ mode: replayMode, store: pageSnapshotStore, directory: input.replayDirectory });
+    const replayCounts = { replayed: 0, missing: 0 };
+    if (replaySource?.unknown?.length) {
+        log.warning(`⚠️ No URL found in ${replaySource.unknown.length} replay files, skipped: ${replaySource.unknown.join(', ')}`);
     }
+    if (replaySource && enrichWebsites) log.warning('⚠️ Agent websites are not snapshotted - website enrichment is off in replay mode');
+    // Replayed pages are not today's market: the change-detection baseline, webhook and history are left alone
+    const liveOutputs = getLiveOutputs(
+        { changeSnapshot: Boolean(input.changeDetection), webhook: Boolean(webhookUrl), history: saveHistory },
+        { replaying: Boolean(replaySource) },
+    );
+    if (liveOutputs.skipped.length) log.warning(`⚠️ Replay mode - not writing: ${liveOutputs.skipped.join(', ')}`);
+
+    // Proxy configuration - use Apify proxy properly; replay never goes online
+    const proxyConfiguration = replaySource
+        ? undefined
+        : await Actor.createProxyConfiguration({
+            useApifyProxy: true,
+            apifyProxyGroups: ['RESIDENTIAL'],
+            countryCode: 'GB',
+            ...input.proxyConfiguration,
+        });
 
-    const name = displayName || branchName || companyName;
-    if (!name) return null;
-
-    const displayAddress = cleanText(agent.displayAddress || agent.address);
-
-    // Extract locality from address (usually the city/town after comma)
-    let locality = cleanText(agent.locality || agent.town || agent.city);
-    if (!locality && displayAddress) {
-        const addressParts = displayAddress.split(',').map(p => p.trim());
-        // Locality is usually the second-to-last part (before postcode)
-        if (addressParts.length >= 2) {
-            // Skip the postcode (last part usually)
-            const potentialLocality = addressParts[addressParts.length - 2] || addressParts[0];
-            if (potentialLocality && !/^[A-Z]{1,2}\d/.test(potentialLocality)) {
-                locality = potentialLocality;
-            }
-        }
+    log.info('🏠 Zoopla Agent Scraper v2.1.0 (Playwright Only)', {
+        resultsWanted: allResults ? 'all' : resultsWanted,
+        maxPages: allResults ? 'all' : maxPages,
+        budgetMode: perSearchBudget ? 'perSearch' : 'total',
+        mergeDuplicates,
+        minQuality,
+        includeBranchDetails,
+        includeReviews,
+        includeListings,
+        enrichWebsites,
+        antiBot: throttle.state(),
+        httpMode,
+        filters: agentFilters ? 'on' : 'off',
+        history: liveOutputs.history ? historyDatasetName : 'off',
+        savePageSnapshots,
+        replay: replaySource ? replaySource.describe() : 'off',
+        outputFields: outputFields.length || 'all',
+        exportFormats,
+        webhook: liveOutputs.webhook ? webhookTemplate : 'off',
+        startUrls: targets.length,
+    });
+
+    // A migrated or restarted run picks up its own state from the default key-value store
+    const stateStore = await Actor.openKeyValueStore();
+    const resumed = await loadRunState(stateStore);
+    if (resumed) {
+        log.info(`♻️ Resuming run state from ${resumed.savedAt}: ${resumed.saved} agents saved, ${resumed.queued.size} pages queued`);
     }
 
-    // Extract logo URL properly - Zoopla uses { uri, width, height } structure
-    let logoUrl = null;
-    if (agent.logo) {
-        if (typeof agent.logo === 'string') {
-            logoUrl = agent.logo;
-        } else if (typeof agent.logo === 'object') {
-            // Zoopla specifically uses 'uri' for the image URL
-            logoUrl = agent.logo.uri || agent.logo.src || agent.logo.url || agent.logo.href || null;
+    const seen = resumed?.seen || new Set();
+    const queued = resumed?.queued || new Set();
+    // Agents already pushed to the dataset - a retried branch page must not push its record twice
+    const written = resumed?.written || new Set();
+    const searchProgress = createSearchProgress(resumed?.searches);
+    const savedBySearch = resumed?.savedBySearch || new Map();
+    let saved = resumed?.saved || 0;
+    let budgetReached = resumed?.budgetReached || false;
+    // Agents of directory pages still in progress; they join seen and saved when their page is done
+    const pageClaims = createPageClaims();
+
+    const hasBudget = (rootUrl) => {
+        const count = perSearchBudget ? (savedBySearch.get(rootUrl) || 0) + pageClaims.places(rootUrl) : saved + pageClaims.places();
+        if (count < resultsWanted) return true;
+        budgetReached = true;
+        return false;
+    };
+
+    // mergeDuplicates: hold records until the end so every search an agent appears in can be listed in foundIn
+    const mergedRecords = resumed?.mergedRecords || new Map();
+    const foundInByKey = resumed?.foundInByKey || new Map();
+    const companies = createCompanyAggregator(resumed?.companies);
+    const history = createHistoryRecorder(resumed?.history);
+    const webhook = liveOutputs.webhook ? createWebhookSink(webhookOptions, resumed?.webhook) : null;
+    const sendToWebhook = async (records) => {
+        if (!webhook) return;
+        for (const outcome of await webhook.add(records)) {
+            if (!outcome.ok) log.warning(`⚠️ Webhook batch of ${outcome.count} records failed: ${outcome.error}`);
         }
-    }
-    if (logoUrl && typeof logoUrl === 'string') {
-        logoUrl = ensureAbsoluteUrl(logoUrl);
-    }
+    };
+    const outputRecords = async (records) => {
+        if (!mergeDuplicates) {
+            const fresh = records.filter((record) => record && !written.has(getAgentKey(record)));
+            if (!fresh.length) return;
+            await Dataset.pushData(fresh.map(fieldShaper.shape));
+            fresh.forEach((record) => {
+                written.add(getAgentKey(record));
+                companies.add(record);
+                history.add(record);
+            });
+            await sendToWebhook(fresh);
+            return;
+        }
+        for (const record of records.filter(Boolean)) mergedRecords.set(getAgentKey(record), record);
+    };
 
-    // Extract rating from various possible locations
-    const aggregateRating = agent.aggregateRating || agent.rating_info || {};
-    const rating = parseNumber(
-        agent.averageRating ||
-        agent.rating ||
-        agent.ratingValue ||
-        aggregateRating.ratingValue ||
-        aggregateRating.average ||
-        aggregateRating.rating
-    );
+    // Change detection: compare every saved record with the previous run's snapshot
+    const changeDetection = Boolean(input.changeDetection);
+    const snapshotStoreName = input.snapshotStoreName || DEFAULT_SNAPSHOT_STORE;
+    const snapshotKey = input.snapshotKey || DEFAULT_SNAPSHOT_KEY;
+    const previousSnapshot = changeDetection
+        ? await loadPreviousSnapshot({ datasetId: input.previousDatasetId, storeName: snapshotStoreName, key: snapshotKey, unshape: fieldShaper.unshape })
+        : null;
+    const currentSnapshot = resumed?.currentSnapshot || {};
+    const changeCounts = resumed?.changeCounts || { new: 0, changed: 0, unchanged: 0, disappeared: 0 };
+
+    // Extraction health: tier per page and field fill rates, checked against thresholds at the end
+    const healthCheck = ['off', 'warn', 'fail'].includes(input.healthCheck) ? input.healthCheck : 'warn';
+    const toFraction = (value, fallback) => (Number.isFinite(+value) && value !== null ? +value / 100 : fallback);
+    const healthThresholds = {
+        maxHtmlFallbackRate: toFraction(input.maxHtmlFallbackPercent, 0.2),
+        minPhoneCoverage: toFraction(input.minPhoneCoveragePercent, 0.5),
+    };
+    const healthStats = createHealthStats(resumed?.health);
+    const blockStats = createBlockStats(resumed?.blocking);
+    const qualityStats = createQualityStats(resumed?.quality);
+    const filterStats = createFilterStats(resumed?.filters);
+    if (previousSnapshot) log.info(`🔁 Change detection: ${previousSnapshot.size} agents in previous snapshot`);
 
-    // Extract review count
-    const reviewCount = parseNumber(
-        agent.reviewCount ||
-        agent.reviewsCount ||
-        agent.numberOfReviews ||
-        aggregateRating.reviewCount ||
-        aggregateRating.ratingCount ||
-        aggregateRating.count
-    );
+    // Build request queue - the default queue survives a migration, and already-known URLs are not added twice
+    const requestQueue = await Actor.openRequestQueue();
+    // HTTP mode pages go through a crawler and queue of their own, so they never open a browser page.
+    // The queue is named after the run, so a migrated run finds it again; a fresh run drops leftovers of a local one
+    const httpQueueName = `http-pages-${Actor.getEnv().actorRunId || 'local'}`;
+    if (httpMode && !replaySource && !resumed) await (await Actor.openRequestQueue(httpQueueName)).drop();
+    const httpQueue = httpMode && !replaySource ? await Actor.openRequestQueue(httpQueueName) : null;
+
+    // Directory pages not queued for lack of budget; a place given back after its page was done reopens one
+    const heldPages = createHeldPages(resumed?.heldPages);
+    const releaseSlot = async (agent) => {
+        const { rootUrl } = agent;
+        // An agent whose directory page is still in progress only holds a claimed place
+        if (!pageClaims.release(getAgentKey(agent))) {
+            saved--;
+            savedBySearch.set(rootUrl, (savedBySearch.get(rootUrl) || 1) - 1);
+        }
+        budgetReached = false;
 
-    return {
-        agentId: agentId ? String(agentId) : null,
-        name,
-        branchName: finalBranchName || name,
-        companyName,
-        url: ensureAbsoluteUrl(agent.uriName ? `/find-agents/branch/${agent.uriName}/${agent.id}/` : agent.url),
-        address: displayAddress,
-        postalCode: extractUkPostcode(displayAddress),
-        locality,
-        phone: normalizePhone(agent.contactNumber || agent.telephone || agent.phone),
-        website: ensureAbsoluteUrl(agent.website),
-        logo: logoUrl,
-        rating,
-        reviewCount,
-        listingsForSale: parseNumber(forSale.availableListings),
-        listingsToRent: parseNumber(toRent.availableListings),
-        avgAskingPrice: parseNumber(forSale.avgAskingPrice),
-        avgRentPrice: parseNumber(toRent.avgAskingPrice),
-        featured: Boolean(agent.featured),
-        source,
+        const held = heldPages.take(perSearchBudget ? rootUrl : null);
+        if (!held) return;
+        const url = buildSearchUrlForPage(held.rootUrl, held.page);
+        // The page may have been skipped once already, so it needs a key of its own; seen agents on it are skipped
+        await requestQueue.addRequest({
+            url,
+            uniqueKey: `${url}#reopened-${Date.now()}`,
+            label: LABELS.DIRECTORY,
+            userData: { page: held.page, rootUrl: held.rootUrl, location: held.location, reopened: true },
+        });
+        log.debug(`📥 Reopened page ${held.page} for ${held.rootUrl}`);
     };
-};
 
+    // Returns null when the record is below minQuality; its place in the budget goes to the next agent
+    const toOutputRecord = async (agent, extra = {}) => {
+        const assessment = assessRecord({ ...agent, ...extra });
+        if (assessment.completeness < minQuality) {
+            qualityStats.recordDropped('belowMinQuality');
+            log.debug(`Below minimum quality (${assessment.completeness}): ${agent.name}`);
+            await releaseSlot(agent);
+            return null;
+        }
+        qualityStats.recordAssessment(assessment);
 
-// ============================================================================
-// JSON-LD EXTRACTION (Fallback)
-// ============================================================================
-const extractAgentsFromJsonLd = (html) => {
-    const $ = cheerioLoad(html);
-    const scripts = $('script[type="application/ld+json"]');
-    const results = [];
-
-    scripts.each((_, scriptEl) => {
-        const jsonText = $(scriptEl).contents().text();
-        const parsed = safeJsonParse(jsonText);
-        if (!parsed) return;
-
-        const walk = (node) => {
-            if (!node || typeof node !== 'object') return;
-            if (Array.isArray(node)) {
-                node.forEach(walk);
-                return;
-            }
-            const nodeType = node['@type'];
-            const types = Array.isArray(nodeType) ? nodeType : nodeType ? [nodeType] : [];
-            if (types.some((t) => ['RealEstateAgent', 'RealEstateAgency', 'Organization', 'LocalBusiness'].includes(t))) {
-                const normalized = normalizeZooplaAgent(node, 'json-ld');
-                if (normalized?.name) results.push(normalized);
-            }
-            for (const value of Object.values(node)) {
-                if (value && typeof value === 'object') walk(value);
-            }
-        };
-        walk(parsed);
-    });
+        const record = { ...clearInvalidFields({ ...agent, ...extra }), ...assessment, scrapedAt: new Date().toISOString() };
+        if (!previousSnapshot) return record;
 
-    return results;
-};
+        const key = getAgentKey(agent);
+        currentSnapshot[key] = toSnapshotRecord(record);
+        const change = classifyAgentChange(previousSnapshot.get(key), record);
+        changeCounts[change.changeStatus]++;
+        return { ...record, ...change };
+    };
 
-// ============================================================================
-// HTML EXTRACTION (Final Fallback)
-// ============================================================================
-const extractAgentsFromHtml = (html) => {
-    const $ = cheerioLoad(html);
-    const results = [];
-    const seen = new Set();
-
-    // Find agent cards via links to branch pages
-    const branchLinks = $('a[href*="/find-agents/branch/"], a[href*="/estate-agents/branch/"]');
-
-    branchLinks.each((_, linkEl) => {
-        const link = $(linkEl);
-        const href = link.attr('href');
-        const url = ensureAbsoluteUrl(href);
-        if (!url || seen.has(url)) return;
-        seen.add(url);
-
-        // Find parent card container
-        const card = link.closest('article, li, div[class*="agent"], div[class*="card"]');
-        const cardText = card.length ? card.text() : '';
-
-        // Extract agent ID from URL
-        const idMatch = href?.match(/\/(\d+)\/?$/);
-        const agentId = idMatch ? idMatch[1] : null;
-
-        const name = cleanText(
-            card.find('h1, h2, h3, h4').first().text() ||
-            link.find('[class*="name"]').text() ||
-            link.text()
+    // finalized: the end-of-run dataset pushes are done and must not be repeated by a restart
+    let finalized = resumed?.finalized || false;
+    const writeRunState = async () => {
+        await stateStore.setValue(
+            RUN_STATE_KEY,
+            toStoredRunState({
+                seen,
+                queued,
+                written,
+                saved,
+                savedBySearch,
+                budgetReached,
+                heldPages: heldPages.getState(),
+                searches: searchProgress.summary(),
+                health: healthStats.snapshot(),
+                blocking: blockStats.snapshot(),
+                quality: qualityStats.snapshot(),
+                filters: filterStats.snapshot(),
+                companies: companies.getState(),
+                history: history.getState(),
+                webhook: webhook?.getState() || null,
+                mergedRecords,
+                foundInByKey,
+                currentSnapshot,
+                changeCounts,
+                finalized,
+            }),
         );
+    };
+    // Writes wait for each other, so an older state never lands after a newer one. A failed write is logged and the
+    // next one tries again, instead of surfacing as an unhandled error from the event listener
+    let pendingWrite = Promise.resolve();
+    const persistRunState = () => {
+        pendingWrite = pendingWrite.then(writeRunState).catch((error) => log.warning(`⚠️ Could not save ${RUN_STATE_KEY}: ${error.message}`));
+        return pendingWrite;
+    };
+    // Saved after every push and every finished directory page, so a crash or an abort never loses pushed records;
+    // persistState fires periodically and again when the platform is about to migrate the run
+    Actor.on('persistState', persistRunState);
+    Actor.on('migrating', persistRunState);
 
-        const address = cleanText(
-            card.find('address').first().text() ||
-            card.find('[class*="address"]').first().text()
-        );
+    // Start pages; already-known URLs are not added twice
+    for (const target of targets) {
+        const url = buildSearchUrlForPage(target.url, 1);
+        queued.add(url);
+        await requestQueue.addRequest({
+            url,
+            label: LABELS.DIRECTORY,
+            userData: { page: 1, rootUrl: target.url, location: target.location },
+        });
+    }
 
-        const phone = normalizePhone(
-            card.find('a[href^="tel:"]').first().attr('href')
-        );
+    // With enrichWebsites the record is saved by the website request instead; returns null in that case
+    const saveAgent = async (agent, extra = {}) => {
+        const website = extra.website || agent.website;
+        if (!enrichWebsites || replaySource || !isAgentWebsite(website)) return toOutputRecord(agent, extra);
+        await requestQueue.addRequest({
+            url: website,
+            uniqueKey: `${LABELS.WEBSITE}:${getAgentKey(agent)}`,
+            label: LABELS.WEBSITE,
+            // Agent sites are not behind Zoopla's anti-bot, so a failure is rarely worth five more attempts
+            maxRetries: 1,
+            userData: { agent, extra },
+        });
+        return null;
+    };
 
-        const logo = ensureAbsoluteUrl(
-            card.find('img[alt*="logo" i]').first().attr('src') ||
-            card.find('img').first().attr('src')
-        );
+    // Records a page outcome against its session and proxy and lets the throttle react to it
+    const recordOutcome = ({ crawler }, blockType, { sessionId, proxyUrl }) => {
+        blockStats.record({ sessionId, proxyUrl, blockType });
 
-        // Parse listing counts from text
-        const forSaleMatch = cardText.match(/(\d+)\s+propert(?:y|ies)\s+for\s+sale/i);
-        const toRentMatch = cardText.match(/(\d+)\s+propert(?:y|ies)\s+to\s+rent/i);
-
-        if (name) {
-            results.push({
-                agentId,
-                name,
-                branchName: name,
-                companyName: null,
-                url,
-                address,
-                postalCode: extractUkPostcode(address),
-                locality: null,
-                phone,
-                website: null,
-                logo,
-                rating: null,
-                reviewCount: null,
-                listingsForSale: forSaleMatch ? Number(forSaleMatch[1]) : null,
-                listingsToRent: toRentMatch ? Number(toRentMatch[1]) : null,
-                avgAskingPrice: null,
-                avgRentPrice: null,
-                featured: false,
-                source: 'html',
-            });
+        const change = throttle.record(Boolean(blockType));
+        const pool = crawler.autoscaledPool;
+        if (change && pool) {
+            pool.maxConcurrency = change.concurrency;
+            pool.desiredConcurrency = change.concurrency;
         }
-    });
-
-    return results;
-};
+        if (change) {
+            log.info(
+                `🚦 Anti-bot ${change.action}: block rate ${Math.round(change.blockRate * 100)}%, concurrency ${change.concurrency}, delays x${change.delayFactor}`,
+            );
+        }
+    };
 
-// ============================================================================
-// DEDUPLICATION
-// ============================================================================
-const dedupeAgents = (agents) => {
-    const seen = new Set();
-    return agents.filter((agent) => {
-        const key = agent.agentId || agent.url || `${agent.name}|${agent.address}`;
-        if (!key || seen.has(key)) return false;
-        seen.add(key);
-        return true;
-    });
-};
+    // Classifies a browser page and throws on a block so it is retried on another session
+    const assertNotBlocked = (context, html) => {
+        const { request, response, session, proxyInfo } = context;
+        const blockType = classifyBlock({ status: response?.status() ?? null, html });
+        recordOutcome(context, blockType, { sessionId: session?.id, proxyUrl: proxyInfo?.url });
 
-// ============================================================================
-// MAIN ACTOR
-// ============================================================================
-await Actor.init();
+        if (!blockType) {
+            session?.markGood();
+            return;
+        }
+        if (rotateSessionOnBlock) session?.retire();
+        else session?.markBad();
+        log.warning(`⚠️ Blocked (${blockType}), retrying: ${request.url}`);
+        throw new Error(`Blocked (${blockType})`);
+    };
 
-try {
-    const input = (await Actor.getInput()) || {};
+    // HTTP mode state: the identity of the last browser page, and how HTTP fetches have gone
+    let httpIdentity = null;
+    let httpFailures = 0;
+    const fetchCounts = { browser: 0, http: 0, httpFallbacks: 0 };
+    const httpEnabled = () => httpMode && httpFailures < MAX_HTTP_FAILURES && Boolean(httpIdentity);
 
-    // Parse inputs
-    const startUrls = Array.isArray(input.startUrls) && input.startUrls.length ? input.startUrls : null;
-    const startUrl = input.startUrl || (startUrls ? null : DEFAULT_START_URL);
+    // Follow-up pages go to the HTTP crawler while HTTP mode has a usable identity
+    const enqueue = (request) => (httpEnabled() ? httpQueue : requestQueue).addRequest(request);
 
-    if (!startUrl && !startUrls) {
-        log.error('Missing startUrl or startUrls');
-        await Actor.exit({ exitCode: 1 });
-    }
+    const savePageSnapshot = async (request, loaded) => {
+        if (!savePageSnapshots || replaySource) return;
+        await pageSnapshotStore.setValue(toPageSnapshotKey(request.url), toPageSnapshot({ url: request.url, label: request.label, ...loaded }), {
+            contentType: 'text/html; charset=utf-8',
+        });
+    };
 
-    const resultsWanted = Math.max(1, Number.isFinite(+input.results_wanted) ? +input.results_wanted : 50);
-    const maxPagesInput = Number.isFinite(+input.max_pages) ? Math.max(1, +input.max_pages) : null;
-    const estimatedPages = Math.ceil(resultsWanted / AGENTS_PER_PAGE);
-    const maxPages = maxPagesInput ?? Math.max(1, estimatedPages);
-
-    // Proxy configuration - use Apify proxy properly
-    const proxyConfiguration = await Actor.createProxyConfiguration({
-        useApifyProxy: true,
-        apifyProxyGroups: ['RESIDENTIAL'],
-        countryCode: 'GB',
-        ...input.proxyConfiguration,
-    });
+    /**
+     * Re-queues an HTTP-mode page for the browser. A `failure` ({ identity, reason }) counts toward turning
+     * HTTP mode off and drops the identity that failed, so the browser picks up fresh cookies.
+     */
+    const handBackToBrowser = async (request, failure = null) => {
+        if (failure) {
+            httpFailures++;
+            if (httpIdentity === failure.identity) httpIdentity = null;
+            log.warning(`⚠️ HTTP fetch failed (${failure.reason}), back to the browser: ${request.url}`);
+            if (httpFailures >= MAX_HTTP_FAILURES) {
+                log.warning(`⚠️ ${httpFailures} HTTP fetches failed in a row - HTTP mode is off for the rest of the run`);
+            }
+        }
+        fetchCounts.httpFallbacks++;
+        await requestQueue.addRequest({
+            url: request.url,
+            uniqueKey: `${request.uniqueKey}#browser`,
+            label: request.label,
+            userData: request.userData,
+        });
+        return null;
+    };
 
-    log.info('🏠 Zoopla Agent Scraper v2.1.0 (Playwright Only)', { resultsWanted, maxPages });
+    /**
+     * Browser requests read the rendered page; the HTTP crawler's requests, which have no page, are fetched with
+     * the last browser identity and carry it as `identity`; replay reads the stored snapshot. Returns null when an
+     * HTTP fetch failed or was blocked and the page was handed back to the browser, or when replay has no snapshot.
+     */
+    const loadPage = async (context) => {
+        const { request, page, sendRequest } = context;
+        if (replaySource) {
+            const html = await replaySource.get(request.url);
+            if (!html) {
+                replayCounts.missing++;
+                log.warning(`⚠️ No snapshot, skipped: ${request.url}`);
+                return null;
+            }
+            replayCounts.replayed++;
+            return { html, nextData: extractNextDataFromHtml(html) };
+        }
 
-    const seen = new Set();
-    const queued = new Set();
-    let saved = 0;
+        if (page) {
+            const html = await page.content();
+            assertNotBlocked(context, html);
+            fetchCounts.browser++;
+            const nextData = extractNextDataFromHtml(html);
+            if (httpMode && httpFailures < MAX_HTTP_FAILURES) {
+                httpIdentity = await captureHttpIdentity(context, nextData?.buildId || httpIdentity?.buildId);
+            }
+            await savePageSnapshot(request, { html });
+            return { html, nextData };
+        }
 
-    // Build request queue
-    const requestQueue = await Actor.openRequestQueue();
-    const targets = startUrls || [startUrl];
+        const identity = httpIdentity;
+        if (!identity) return handBackToBrowser(request);
+        await sleep(throttle.nextDelay());
+        let fetched;
+        try {
+            fetched = await fetchPageOverHttp(sendRequest, request.url, identity, { useDataRoute: request.label === LABELS.DIRECTORY });
+        } catch (error) {
+            // Not retried over HTTP, where the same identity would most likely fail again
+            return handBackToBrowser(request, { identity, reason: error.message });
+        }
+        // A data route answer is JSON, only HTML answers can be challenge pages
+        const blockType = fetched.html === null ? null : classifyBlock({ status: fetched.status, html: fetched.html });
+        recordOutcome(context, blockType, { sessionId: 'http', proxyUrl: identity.proxyUrl });
+        if (blockType) return handBackToBrowser(request, { identity, reason: `blocked, ${blockType}` });
+
+        httpFailures = 0;
+        fetchCounts.http++;
+        // A new deployment changes buildId; the HTML fallback carries the new one
+        if (fetched.nextData?.buildId && fetched.nextData.buildId !== identity.buildId && httpIdentity === identity) {
+            httpIdentity = { ...identity, buildId: fetched.nextData.buildId };
+        }
+        await savePageSnapshot(request, fetched);
+        return { html: fetched.html || '', nextData: fetched.nextData, identity };
+    };
 
-    for (const target of targets) {
-        const url = buildSearchUrlForPage(target, 1);
-        queued.add(url);
-        await requestQueue.addRequest({
-            url,
-            userData: { page: 1, rootUrl: target },
-        });
-    }
+    // Camoufox stealth options - not needed when replaying
+    const camoufoxOptions = replaySource ? {} : await camoufoxLaunchOptions({ headless: true, geoip: true });
 
-    // Camoufox stealth options
-    const camoufoxOptions = await camoufoxLaunchOptions({ headless: true, geoip: true });
+    // With HTTP mode each crawler hands pages to the other, so neither is done until both queues are
+    const bothQueuesFinished = async () => (await requestQueue.isFinished()) && (await httpQueue.isFinished());
 
-    const crawler = new PlaywrightCrawler({
+    const crawlerOptions = {
         requestQueue,
         proxyConfiguration,
-        maxConcurrency: MAX_CONCURRENCY,
+        ...(httpQueue && { autoscaledPoolOptions: { isFinishedFunction: bothQueuesFinished } }),
+        // Adaptive mode starts at one page at a time and raises this through the autoscaled pool
+        maxConcurrency: throttle.state().concurrency,
         maxRequestRetries: 5,
-        retryOnBlocked: true,
+        // Blocks are classified in the request handler, so Crawlee's own status code check is turned off
+        retryOnBlocked: false,
         useSessionPool: true,
         persistCookiesPerSession: true,
         sessionPoolOptions: {
-            maxPoolSize: 10,
+            maxPoolSize: sessionPoolSize,
+            blockedStatusCodes: [],
             sessionOptions: {
-                maxUsageCount: 3,
+                maxUsageCount: sessionMaxUsage,
             },
-            // Note: Removed blockedStatusCodes to avoid conflict with retryOnBlocked
         },
         requestHandlerTimeoutSecs: 180,
         navigationTimeoutSecs: 120,
@@ -441,8 +642,8 @@ try {
         // Pre-navigation: random delay for stealth
         preNavigationHooks: [
             async () => {
-                const delay = randomDelay(3000, 6000);
-                log.debug(`Pre-nav delay: ${Math.round(delay)}ms`);
+                const delay = throttle.nextDelay();
+                log.debug(`Pre-nav delay: ${delay}ms`);
                 await sleep(delay);
             },
         ],
@@ -450,14 +651,15 @@ try {
         // Post-navigation: wait for content and scroll
         postNavigationHooks: [
             async ({ page }) => {
+                // Settling pauses follow the adaptive delay factor, so they shrink while nothing is blocked
+                const { delayFactor } = throttle.state();
                 await page.waitForLoadState('domcontentloaded');
-                await sleep(2000);
+                await sleep(2000 * delayFactor);
 
-                // Check for Cloudflare
-                const content = await page.content();
-                if (content.includes('Just a moment') || content.includes('Verify you are human')) {
+                // Give a Cloudflare challenge the chance to clear before the page is classified
+                if (classifyBlock({ html: await page.content() }) === 'cloudflare' && challengeWaitMs) {
                     log.info('⏳ Cloudflare detected, waiting...');
-                    await sleep(10000);
+                    await sleep(challengeWaitMs);
                     await page.waitForLoadState('networkidle', { timeout: 60000 }).catch(() => { });
                     await sleep(3000);
                 }
@@ -465,61 +667,221 @@ try {
                 // Scroll to simulate human behavior
                 for (let i = 0; i < 4; i++) {
                     await page.evaluate(() => window.scrollBy(0, 400));
-                    await sleep(300 + Math.random() * 300);
+                    await sleep((300 + Math.random() * 300) * delayFactor);
                 }
-                await sleep(1000);
+                await sleep(1000 * delayFactor);
             },
         ],
 
-        async requestHandler({ request, page }) {
-            const pageNum = request.userData.page || 1;
-
-            if (saved >= resultsWanted) {
-                log.debug(`Skip page ${pageNum} - target reached`);
+        async requestHandler(context) {
+            const { request } = context;
+            if (request.label === LABELS.BRANCH) {
+                const { agent } = request.userData;
+                const loaded = await loadPage(context);
+                if (!loaded) {
+                    // A replay without the branch page keeps the directory record, as a failed branch page does
+                    if (replaySource) {
+                        const record = await saveAgent(agent, { branchDetailsError: 'no snapshot of the branch page' });
+                        if (record) await outputRecords([record]);
+                        await persistRunState();
+                    }
+                    return;
+                }
+                const { html } = loaded;
+
+                const details = extractBranchDetails(html);
+                // Numbers from the branch page join the directory card's; the card's main number stays first
+                const phoneFields = buildPhoneFields(mergePhoneLists(agent.phones || [], details.phones));
+                const record = await saveAgent(agent, { ...details, ...phoneFields });
+                if (record) await outputRecords([record]);
+                await persistRunState();
+                log.info(`🏢 Branch details: ${agent.name}`);
                 return;
             }
 
-            log.info(`📄 Page ${pageNum}/${maxPages}`);
-
-            // Get page content
-            const html = await page.content();
+            // The agent's own website goes through the browser but not through Zoopla's block handling
+            if (request.label === LABELS.WEBSITE) {
+                const { page } = context;
+                const { agent, extra } = request.userData;
+                const html = await page.content();
+                const pages = [extractWebsiteDetails(html)];
+                for (const link of findEnrichmentLinks(html, page.url()).slice(0, websiteMaxPages - 1)) {
+                    try {
+                        await page.goto(link, { waitUntil: 'domcontentloaded', timeout: 30000 });
+                        pages.push(extractWebsiteDetails(await page.content()));
+                    } catch (error) {
+                        log.debug(`Website page failed: ${link} - ${error.message}`);
+                    }
+                }
 
-            // Check if still on Cloudflare
-            if (html.includes('Just a moment') || html.includes('Verify you are human')) {
-                log.warning('⚠️ Still on Cloudflare, retrying...');
-                throw new Error('Cloudflare challenge not passed');
+                const enrichment = mergeWebsiteDetails(pages, { website: extra.website || agent.website, email: extra.email || agent.email });
+                await outputRecords([await toOutputRecord(agent, { ...extra, ...enrichment })]);
+                await persistRunState();
+                log.info(`🌐 Website: ${agent.name} - ${enrichment.emails.length} emails, ${enrichment.websitePagesVisited} pages`);
+                return;
             }
 
-            let agents = [];
+            if (request.label === LABELS.REVIEWS) {
+                const { agentId, agentName, agentUrl } = request.userData;
+                const reviewPage = request.userData.page || 1;
+                const loaded = await loadPage(context);
+                if (!loaded) return;
+                const { html } = loaded;
+
+                const { reviews, totalCount } = extractReviews(html);
+                if (!reviews.length) {
+                    log.debug(`No reviews on page ${reviewPage} for ${agentName}`);
+                    return;
+                }
 
-            // Priority 1: Extract from __NEXT_DATA__
-            const nextData = extractNextDataFromHtml(html);
-            if (nextData) {
-                const extracted = extractAgentsFromNextData(nextData);
-                agents = extracted.agents;
-                if (agents.length) {
-                    log.info(`✅ __NEXT_DATA__: ${agents.length} agents`);
+                const scrapedAt = new Date().toISOString();
+                // A retried page or a scheduled run sees reviews already pushed
+                const freshReviews = pushedReviews.fresh(reviews);
+                if (freshReviews.length) {
+                    await reviewsDataset.pushData(
+                        freshReviews.map((review) => ({
+                            agentId,
+                            agentName,
+                            agentUrl,
+                            ...review,
+                            reviewPage,
+                            runId,
+                            scrapedAt,
+                        })),
+                    );
+                    pushedReviews.add(freshReviews);
                 }
+                const collected = (request.userData.collected || 0) + reviews.length;
+                log.info(`⭐ ${agentName}: ${collected}${totalCount ? `/${totalCount}` : ''} reviews`);
+
+                const hasMore = totalCount ? collected < totalCount : true;
+                if (hasMore && reviewPage < maxReviewPages) {
+                    await enqueue({
+                        url: buildReviewsUrlForPage(agentUrl, reviewPage + 1),
+                        label: LABELS.REVIEWS,
+                        userData: { ...request.userData, page: reviewPage + 1, collected },
+                    });
+                }
+                return;
             }
 
-            // Priority 2: JSON-LD fallback
-            if (!agents.length) {
-                agents = extractAgentsFromJsonLd(html);
-                if (agents.length) {
-                    log.info(`✅ JSON-LD: ${agents.length} agents`);
+            if (request.label === LABELS.LISTINGS) {
+                const { agentId, agentName, agentUrl, channel } = request.userData;
+                const listingPage = request.userData.page || 1;
+                const loaded = await loadPage(context);
+                if (!loaded) return;
+                const { html } = loaded;
+
+                const { listings, totalCount } = extractListings(html, channel);
+                if (!listings.length) {
+                    log.debug(`No ${channel} listings on page ${listingPage} for ${agentName}`);
+                    return;
                 }
-            }
 
-            // Priority 3: HTML parsing fallback
-            if (!agents.length) {
-                agents = extractAgentsFromHtml(html);
-                if (agents.length) {
-                    log.info(`✅ HTML: ${agents.length} agents`);
+                const scrapedAt = new Date().toISOString();
+                const freshListings = pushedListings.fresh(listings);
+                if (freshListings.length) {
+                    await listingsDataset.pushData(
+                        freshListings.map((listing) => ({
+                            agentId,
+                            agentName,
+                            agentUrl,
+                            ...listing,
+                            listingPage,
+                            runId,
+                            scrapedAt,
+                        })),
+                    );
+                    pushedListings.add(freshListings);
                 }
+                const collected = (request.userData.collected || 0) + listings.length;
+                log.info(`🏘️ ${agentName}: ${collected}${totalCount ? `/${totalCount}` : ''} ${channel} listings`);
+
+                const hasMore = totalCount ? collected < totalCount : true;
+                if (hasMore && listingPage < maxListingPages) {
+                    await enqueue({
+                        url: buildAgentListingsUrl(agentUrl, channel, listingPage + 1),
+                        label: LABELS.LISTINGS,
+                        userData: { ...request.userData, page: listingPage + 1, collected },
+                    });
+                }
+                return;
+            }
+
+            const pageNum = request.userData.page || 1;
+            const { rootUrl, location } = request.userData;
+
+            if (!hasBudget(rootUrl)) {
+                heldPages.hold(rootUrl, pageNum, location);
+                log.debug(`Skip page ${pageNum} - target reached`);
+                return;
             }
 
+            // Get page content
+            const loaded = await loadPage(context);
+            if (!loaded) return;
+            const { html, nextData } = loaded;
+
+            let agents = [];
+            let totalCount = 0;
+            let pageSize = 0;
+
+            // Zoopla's own organisation node, navigation links and the like never reach the budget
+            const keepAgents = (candidates) =>
+                candidates.filter((agent) => {
+                    const reason = getNonAgentReason(agent);
+                    if (!reason) return true;
+                    qualityStats.recordDropped('nonAgent');
+                    log.debug(`Dropped "${agent.name}": ${reason}`);
+                    return false;
+                });
+
+            // Every tier runs and their records are merged per agent; the first tier with agents leads
+            const fromNextData = nextData ? extractAgentsFromNextData(nextData) : null;
+            if (fromNextData) ({ totalCount, pageSize } = fromNextData);
+            const tiers = {
+                api: keepAgents(fromNextData?.agents || []),
+                'json-ld': keepAgents(extractAgentsFromJsonLd(html)),
+                html: keepAgents(extractAgentsFromHtml(html)),
+            };
+            const merged = mergeAgentSources(tiers);
+            agents = merged.agents;
+            if (agents.length) {
+                const counts = Object.entries(tiers).map(([tier, found]) => `${tier} ${found.length}`).join(', ');
+                log.info(`✅ ${agents.length} agents from ${agents[0].source} (${counts}${merged.unmatched ? `, ${merged.unmatched} unmatched` : ''})`);
+            }
+
+            // Health and progress are recorded only once the page is accepted, so a retried page counts once
+            // and a page that fails in the end is not reported as crawled
+            const pageStats = { page: pageNum, totalCount, agentCount: pageSize || agents.length };
+            const recordAcceptedPage = () => {
+                healthStats.recordPage({
+                    url: request.url,
+                    tier: agents[0]?.source || 'none',
+                    hasNextData: Boolean(nextData),
+                    agents,
+                });
+                // A reopened page was counted the first time it was read
+                if (!request.userData.reopened) searchProgress.recordPage(rootUrl, pageStats);
+            };
+            const search = searchProgress.preview(rootUrl, pageStats);
+            const pageLimit = getPageLimit({ lastPage: search.lastPage, maxPages, allResults });
+            log.info(
+                `📄 Page ${pageNum} of ${search.lastPage ?? '?'}${search.totalCount ? ` (${search.totalCount} agents)` : ''} - ${rootUrl}`,
+            );
+
             if (!agents.length) {
+                // Over HTTP an empty page is most likely a soft block or a changed data route payload
+                if (loaded.identity) {
+                    await handBackToBrowser(request, { identity: loaded.identity, reason: 'no agents' });
+                    return;
+                }
+                // Zoopla says there are more pages, so an empty one is most likely a soft block - retry it
+                if (search.lastPage && pageNum <= search.lastPage) {
+                    throw new Error(`Empty directory page ${pageNum} of ${search.lastPage}`);
+                }
                 log.warning('⚠️ No agents found on this page');
+                recordAcceptedPage();
                 return;
             }
 
@@ -528,49 +890,307 @@ try {
 
             // Save agents
             const toSave = [];
-            for (const agent of agents) {
-                if (saved >= resultsWanted) break;
-                const key = agent.agentId || agent.url || `${agent.name}|${agent.address}`;
-                if (!key || seen.has(key)) continue;
-                seen.add(key);
+            let budgetSkipped = false;
+            const claimed = [];
+            const foundIn = { rootUrl, searchLocation: location || null, page: pageNum };
+            try {
+                for (const card of agents) {
+                    const key = getAgentKey(card);
+                    if (!key) continue;
+                    if (mergeDuplicates) {
+                        if (!foundInByKey.has(key)) foundInByKey.set(key, []);
+                        // A reopened page is read twice
+                        const found = foundInByKey.get(key);
+                        if (!found.some((entry) => entry.rootUrl === rootUrl && entry.page === pageNum)) found.push(foundIn);
+                    }
+                    if (seen.has(key) || pageClaims.has(key)) continue;
+                    if (agentFilters) {
+                        const filteredBy = getFilterReason(card, agentFilters);
+                        filterStats.record(filteredBy);
+                        if (filteredBy) {
+                            pageClaims.claim(key, rootUrl, { place: false });
+                            claimed.push(key);
+                            log.debug(`Filtered out "${card.name}": ${filteredBy}`);
+                            continue;
+                        }
+                    }
+                    if (!hasBudget(rootUrl)) {
+                        budgetSkipped = true;
+                        continue;
+                    }
+                    pageClaims.claim(key, rootUrl);
+                    claimed.push(key);
+
+                    // Attribution to the search that first found the agent
+                    const agent = { ...card, ...foundIn };
+
+                    if (includeReviews && agent.url) {
+                        await enqueue({
+                            url: buildReviewsUrlForPage(agent.url, 1),
+                            label: LABELS.REVIEWS,
+                            userData: { agentId: agent.agentId, agentName: agent.name, agentUrl: agent.url, page: 1 },
+                        });
+                    }
+
+                    if (includeListings && agent.url) {
+                        // Skip a channel only when the directory card says the agent has nothing in it
+                        const channels = [
+                            ['sale', agent.listingsForSale],
+                            ['rent', agent.listingsToRent],
+                        ].filter(([, count]) => count !== 0);
+                        for (const [channel] of channels) {
+                            const url = buildAgentListingsUrl(agent.url, channel, 1);
+                            if (!url) continue;
+                            await enqueue({
+                                url,
+                                label: LABELS.LISTINGS,
+                                userData: { agentId: agent.agentId, agentName: agent.name, agentUrl: agent.url, channel, page: 1 },
+                            });
+                        }
+                    }
+
+                    // Branch page saves the merged record; the card alone is only a fallback
+                    if (includeBranchDetails && agent.url) {
+                        await enqueue({
+                            url: agent.url,
+                            label: LABELS.BRANCH,
+                            userData: { agent },
+                        });
+                        continue;
+                    }
+
+                    const record = await saveAgent(agent);
+                    if (record) toSave.push(record);
+                }
 
-                toSave.push({
-                    ...agent,
-                    scrapedAt: new Date().toISOString(),
-                });
+                await outputRecords(toSave);
+            } catch (error) {
+                // A retry claims the page's agents again; records already pushed are not pushed twice
+                pageClaims.commit(claimed);
+                throw error;
+            }
+
+            // Everything the claimed agents need is stored or queued, so they can be persisted as seen and saved
+            for (const { key, place } of pageClaims.commit(claimed)) {
+                seen.add(key);
+                if (!place) continue;
                 saved++;
+                savedBySearch.set(rootUrl, (savedBySearch.get(rootUrl) || 0) + 1);
             }
+            recordAcceptedPage();
+            await persistRunState();
 
             if (toSave.length) {
-                await Dataset.pushData(toSave);
-                log.info(`💾 Saved ${saved}/${resultsWanted} agents`);
+                const count = perSearchBudget ? savedBySearch.get(rootUrl) : saved;
+                log.info(`💾 Saved ${count}${allResults ? '' : `/${resultsWanted}`} agents${perSearchBudget ? ` for ${location || rootUrl}` : ''}`);
             }
 
             // Enqueue next page
-            if (pageNum < maxPages && saved < resultsWanted) {
-                const nextUrl = buildSearchUrlForPage(request.userData.rootUrl, pageNum + 1);
+            if (pageNum < pageLimit && hasBudget(rootUrl)) {
+                const nextUrl = buildSearchUrlForPage(rootUrl, pageNum + 1);
                 if (!queued.has(nextUrl)) {
-                    queued.add(nextUrl);
-                    await requestQueue.addRequest({
+                    await enqueue({
                         url: nextUrl,
+                        label: LABELS.DIRECTORY,
                         userData: {
                             page: pageNum + 1,
-                            rootUrl: request.userData.rootUrl,
+                            rootUrl,
+                            location,
                         },
                     });
+                    queued.add(nextUrl);
                     log.debug(`📥 Enqueued page ${pageNum + 1}`);
                 }
+            } else if (!hasBudget(rootUrl) && (budgetSkipped || pageNum < pageLimit)) {
+                // Agents left on this page come first if a place is given back, then the next page
+                heldPages.hold(rootUrl, budgetSkipped ? pageNum : pageNum + 1, location);
             }
         },
 
         async failedRequestHandler({ request, error }) {
             log.error(`❌ Failed: ${request.url} - ${error.message}`);
+
+            if (request.label === LABELS.DIRECTORY) searchProgress.recordFailedPage(request.userData.rootUrl, request.userData.page);
+
+            // Keep the directory record even when its branch page cannot be loaded
+            if (request.label === LABELS.BRANCH && request.userData.agent) {
+                const record = await saveAgent(request.userData.agent, { branchDetailsError: error.message });
+                if (record) await outputRecords([record]);
+                await persistRunState();
+            }
+
+            // Or without the website fields when the agent's site cannot be loaded
+            if (request.label === LABELS.WEBSITE) {
+                const { agent, extra } = request.userData;
+                await outputRecords([await toOutputRecord(agent, { ...extra, websiteError: error.message })]);
+                await persistRunState();
+            }
         },
-    });
+    };
+
+    // Replay runs the same handlers without a browser: every page comes from a snapshot
+    const crawler = replaySource
+        ? new BasicCrawler({
+            requestQueue,
+            maxConcurrency: 1,
+            maxRequestRetries: 0,
+            requestHandler: crawlerOptions.requestHandler,
+            failedRequestHandler: crawlerOptions.failedRequestHandler,
+        })
+        : new PlaywrightCrawler(crawlerOptions);
+
+    // HTTP mode pages: plain got-scraping requests with the browser's identity, handed back to the browser when blocked
+    const httpCrawler = httpQueue
+        ? new BasicCrawler({
+            requestQueue: httpQueue,
+            maxConcurrency: throttle.state().concurrency,
+            maxRequestRetries: 5,
+            // The identity comes from the browser, so the crawler keeps no sessions of its own
+            useSessionPool: false,
+            requestHandlerTimeoutSecs: 180,
+            autoscaledPoolOptions: { isFinishedFunction: bothQueuesFinished },
+            requestHandler: crawlerOptions.requestHandler,
+            failedRequestHandler: crawlerOptions.failedRequestHandler,
+        })
+        : null;
+
+    await Promise.all([crawler.run(), httpCrawler?.run()]);
+    // Every page it held is done, and a named queue would otherwise outlive the run
+    if (httpQueue) await httpQueue.drop();
+
+    if (finalized) log.info('♻️ Resumed after the final dataset writes - skipping them');
+
+    if (mergeDuplicates && mergedRecords.size && !finalized) {
+        const records = [...mergedRecords.entries()].map(([key, record]) => ({ ...record, foundIn: foundInByKey.get(key) || [] }));
+        await Dataset.pushData(records.map(fieldShaper.shape));
+        records.forEach((record) => {
+            companies.add(record);
+            history.add(record);
+        });
+        await sendToWebhook(records);
+        const multiSearch = records.filter((record) => record.foundIn.length > 1).length;
+        log.info(`🔗 Saved ${records.length} merged agents, ${multiSearch} found in more than one search`);
+    }
+
+    if (previousSnapshot) {
+        // A search stopped by results_wanted keeps a held page, so it is not complete even when its pages ran out
+        const heldSearches = heldPages.getState();
+        const completed = searchProgress.summary().filter((search) => search.complete && !heldSearches[search.rootUrl]);
+        const completeSearches = new Set(completed.map((search) => search.rootUrl));
+        const { disappeared: gone, carried } = settleUnsavedAgents(previousSnapshot, currentSnapshot, {
+            found: seen,
+            completeSearches,
+            allSearchesComplete: targets.every((target) => completeSearches.has(target.url)),
+        });
+        const disappeared = gone.map((record) => ({ ...record, changeStatus: 'disappeared', changes: null, scrapedAt: new Date().toISOString() }));
+        if (disappeared.length && !finalized) {
+            await Dataset.pushData(disappeared.map(fieldShaper.shape));
+            await sendToWebhook(disappeared);
+        }
+        changeCounts.disappeared = disappeared.length;
+        if (Object.keys(carried).length) {
+            log.info(`🔁 ${Object.keys(carried).length} agents from the previous snapshot not reached or not saved - kept in the snapshot`);
+        }
+
+        if (liveOutputs.changeSnapshot) {
+            const store = await Actor.openKeyValueStore(snapshotStoreName);
+            await store.setValue(snapshotKey, { savedAt: new Date().toISOString(), agents: { ...carried, ...currentSnapshot } });
+        }
+        log.info('🔁 Change detection summary', changeCounts);
+    }
 
-    await crawler.run();
+    if (webhook) {
+        for (const outcome of await webhook.flush()) {
+            if (!outcome.ok) log.warning(`⚠️ Webhook batch of ${outcome.count} records failed: ${outcome.error}`);
+        }
+        const { sentRecords, failedRecords } = webhook.stats();
+        log.info(`📡 Webhook: ${sentRecords} records delivered, ${failedRecords} failed`);
+    }
+
+    const historyDataset = liveOutputs.history ? await Actor.openDataset(historyDatasetName) : null;
+    if (historyDataset && !finalized) {
+        const points = history.getPoints();
+        if (points.length) await historyDataset.pushData(points);
+        log.info(`📈 History: ${points.length} agents recorded in ${historyDatasetName}`);
+    }
+
+    finalized = true;
+    await persistRunState();
+
+    if (companySummary) {
+        const summary = companies.summary();
+        await Actor.setValue(COMPANIES_KEY, summary);
+        log.info(`🏢 Company summary: ${summary.length} brands, saved as ${COMPANIES_KEY}`);
+    }
+
+    let trends = null;
+    if (historyDataset) {
+        trends = buildTrendSummary(history.getPoints(), await loadHistoryPoints(historyDataset), { jumpPercent: stockJumpPercent });
+        await Actor.setValue(TRENDS_KEY, trends);
+        log.info(
+            `📈 Trends: ${trends.comparedCount} of ${trends.agentCount} agents compared with ${BASELINE_DAYS}+ days ago, `
+                + `${trends.jumped.length} stock jumps, ${trends.collapsed.length} collapses - saved as ${TRENDS_KEY}`,
+        );
+    }
+
+    // Exports are rebuilt from the whole dataset, so a resumed run still exports what earlier attempts saved
+    if (exportFormats.length) {
+        const items = [];
+        const dataset = await Actor.openDataset();
+        await dataset.forEach((item) => {
+            items.push(item);
+        });
+        for (const format of exportFormats) {
+            const { key, value, contentType } = await buildExport(format, items, fieldShaper);
+            await Actor.setValue(key, value, { contentType });
+        }
+        log.info(`📤 Exported ${items.length} records as ${exportFormats.join(', ')}`);
+    }
+
+    // Per start URL coverage - tells whether each search was crawled to its last page
+    const searches = searchProgress.summary();
+    for (const search of searches) {
+        const pages = `${search.pagesCrawled} of ${search.lastPage ?? '?'} pages`;
+        if (search.complete === false) log.warning(`⚠️ Stopped early at ${pages}: ${search.rootUrl}`);
+        else log.info(`🧭 Crawled ${pages}: ${search.rootUrl}`);
+    }
+
+    const healthReport = buildHealthReport(healthStats, healthThresholds);
+    const blocking = { ...blockStats.summary(), throttle: throttle.state() };
+    await Actor.setValue(HEALTH_REPORT_KEY, {
+        ...healthReport,
+        searches,
+        blocking,
+        fetchModes: fetchCounts,
+        replay: replaySource ? replayCounts : null,
+        quality: qualityStats.summary(),
+        filters: agentFilters ? filterStats.snapshot() : null,
+        history: trends
+            ? { dataset: historyDatasetName, recorded: trends.agentCount, compared: trends.comparedCount, jumped: trends.jumped.length, collapsed: trends.collapsed.length }
+            : null,
+        webhook: webhook?.stats() || null,
+    });
+    log.info('🩺 Extraction health', {
+        pages: healthReport.pageCount,
+        tiers: healthReport.tierCounts,
+        phone: healthReport.fieldFillRates.phone,
+    });
+    log.info('🚦 Block summary', { requests: blocking.requests, blocked: blocking.blocked, byType: blocking.byType });
+    if (httpMode) log.info('⚡ Fetch modes', fetchCounts);
+    if (replaySource) log.info(`⏪ Replayed ${replayCounts.replayed} pages, ${replayCounts.missing} without a snapshot`);
 
     log.info(`✨ Done! Scraped ${saved} agents`);
+
+    if (healthCheck !== 'off' && !healthReport.healthy) {
+        for (const violation of healthReport.violations) log.warning(`⚠️ Extraction health: ${violation}`);
+        if (healthCheck === 'fail') {
+            await Actor.exit({
+                exitCode: 1,
+                statusMessage: `Scraped ${saved} agents, extraction health check failed: ${healthReport.violations[0]}`,
+            });
+        }
+    }
+
     await Actor.setStatusMessage(`Scraped ${saved} agents`);
 
 } catch (error) {
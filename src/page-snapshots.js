@@ -0,0 +1,94 @@
+/**
+ * Raw page snapshots (savePageSnapshots) and the replay source that serves them back instead of Zoopla
+ */
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { load as cheerioLoad } from 'cheerio';
+
+export const DEFAULT_PAGE_SNAPSHOT_STORE = 'zoopla-page-snapshots';
+export const REPLAY_MODES = ['off', 'store', 'directory'];
+
+const MARKER_REGEX = /^<!-- zoopla-snapshot url="([^"]+)" label="([^"]*)" savedAt="([^"]*)" -->/;
+
+export const normalizeSnapshotUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        return parsed.href;
+    } catch {
+        return url;
+    }
+};
+
+// Key-value store keys allow only a few characters and 256 of them, so the URL is hashed
+export const toPageSnapshotKey = (url) => `page-${createHash('sha1').update(normalizeSnapshotUrl(url)).digest('hex')}`;
+
+const escapeAttribute = (value) => String(value).replace(/"/g, '&quot;').replace(/--/g, '&#45;&#45;');
+
+/**
+ * The page as stored: a marker comment with the URL and label, then the HTML. A data route answer has no HTML,
+ * so its JSON is wrapped in a __NEXT_DATA__ script and goes through the same extraction when replayed.
+ */
+export const toPageSnapshot = ({ url, label, html, nextData }) => {
+    const body = html || `<html><head><script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData || {}).replace(/</g, '\\u003c')}</script></head><body></body></html>`;
+    return `<!-- zoopla-snapshot url="${escapeAttribute(url)}" label="${escapeAttribute(label || '')}" savedAt="${new Date().toISOString()}" -->\n${body}`;
+};
+
+// The URL a snapshot was taken from: our marker, else the page's canonical or og:url (pages saved from a browser)
+export const readSnapshotUrl = (html) => {
+    const marker = html.match(MARKER_REGEX);
+    if (marker) return marker[1].replace(/&quot;/g, '"').replace(/&#45;/g, '-');
+    const $ = cheerioLoad(html);
+    return $('link[rel="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content') || null;
+};
+
+// Stored snapshots are looked up by their URL's key
+const createStoreSource = (store) => ({
+    get: async (url) => {
+        const value = await store.getValue(toPageSnapshotKey(url));
+        if (value == null) return null;
+        return Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+    },
+    describe: () => `key-value store ${store.name || store.id}`,
+});
+
+// Every .html/.htm file is read once to find its URL; files without one are reported back
+const createDirectorySource = async (directory) => {
+    const files = new Map();
+    const unknown = [];
+    const names = (await readdir(directory)).filter((name) => /\.html?$/i.test(name)).sort();
+    for (const name of names) {
+        const url = readSnapshotUrl(await readFile(join(directory, name), 'utf8'));
+        if (url) files.set(normalizeSnapshotUrl(url), join(directory, name));
+        else unknown.push(name);
+    }
+    return {
+        get: async (url) => {
+            const path = files.get(normalizeSnapshotUrl(url));
+            return path ? readFile(path, 'utf8') : null;
+        },
+        describe: () => `${files.size} files in ${directory}`,
+        unknown,
+    };
+};
+
+// Outputs that stand for the live market; a replay leaves them alone so the next live run compares with live data
+export const LIVE_OUTPUTS = ['changeSnapshot', 'webhook', 'history'];
+
+// Which of the requested live outputs (`{ changeSnapshot: true, ... }`) the run writes, and which replay skips
+export const getLiveOutputs = (requested, { replaying = false } = {}) => {
+    const wanted = LIVE_OUTPUTS.filter((output) => requested[output]);
+    return {
+        ...Object.fromEntries(LIVE_OUTPUTS.map((output) => [output, wanted.includes(output) && !replaying])),
+        skipped: replaying ? wanted : [],
+    };
+};
+
+export const createReplaySource = async ({ mode, store, directory }) => {
+    if (mode === 'store') return createStoreSource(store);
+    if (mode === 'directory') return createDirectorySource(directory);
+    return null;
+};
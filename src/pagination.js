@@ -0,0 +1,115 @@
+/**
+ * Directory pagination driven by Zoopla's totalCount and the real page size
+ */
+
+export const getLastPage = (totalCount, pageSize) => (totalCount > 0 && pageSize > 0 ? Math.ceil(totalCount / pageSize) : null);
+
+// Tracks every start URL separately so progress can be shown as "page X of Y" and checked for completeness at the end.
+// `restored` is a previous summary() when a run resumes.
+export const createSearchProgress = (restored = []) => {
+    const searches = new Map(restored.map(({ complete, ...search }) => [search.rootUrl, search]));
+
+    const get = (rootUrl) => {
+        if (!searches.has(rootUrl)) {
+            searches.set(rootUrl, { rootUrl, totalCount: null, pageSize: null, lastPage: null, pagesCrawled: 0, agentsFound: 0, failedPages: [] });
+        }
+        return searches.get(rootUrl);
+    };
+
+    const recordPage = (rootUrl, { page, totalCount, agentCount }) => {
+        const search = get(rootUrl);
+        // The first page is always full, so the largest page seen is the real page size
+        if (agentCount > (search.pageSize || 0)) search.pageSize = agentCount;
+        if (totalCount) search.totalCount = totalCount;
+        search.lastPage = getLastPage(search.totalCount, search.pageSize);
+        search.pagesCrawled = Math.max(search.pagesCrawled, page);
+        search.agentsFound += agentCount;
+        return search;
+    };
+
+    // The search as recordPage() would leave it, without recording the page: a page that may still be retried is not crawled yet
+    const preview = (rootUrl, { totalCount, agentCount }) => {
+        const search = searches.get(rootUrl) || { rootUrl, totalCount: null, pageSize: null };
+        const pageSize = Math.max(agentCount, search.pageSize || 0) || null;
+        const total = totalCount || search.totalCount;
+        return { ...search, totalCount: total, pageSize, lastPage: getLastPage(total, pageSize) };
+    };
+
+    // A page that failed every retry leaves its search incomplete, whatever pages came after it
+    const recordFailedPage = (rootUrl, page) => {
+        const search = get(rootUrl);
+        search.failedPages = [...new Set([...(search.failedPages || []), page])].sort((a, b) => a - b);
+    };
+
+    const summary = () =>
+        [...searches.values()].map((search) => ({
+            ...search,
+            complete: search.lastPage ? search.pagesCrawled >= search.lastPage && !search.failedPages?.length : null,
+        }));
+
+    return { get, recordPage, recordFailedPage, preview, summary };
+};
+
+// Last page to crawl for one search: Zoopla's own last page, further capped by max_pages unless all results are wanted
+export const getPageLimit = ({ lastPage, maxPages, allResults }) => {
+    if (allResults) return lastPage ?? Infinity;
+    return Math.min(lastPage ?? Infinity, maxPages ?? Infinity);
+};
+
+/**
+ * Directory pages left unqueued because the budget was full, the lowest page per search. When a place is given
+ * back later (a record dropped for minQuality after its branch page), take() hands out a page to reopen:
+ * the given search's with a per-search budget, any search's with a shared one.
+ * `restored` is a previous getState() when a run resumes.
+ */
+export const createHeldPages = (restored = {}) => {
+    const held = new Map(Object.entries(restored));
+
+    const hold = (rootUrl, page, location) => {
+        if ((held.get(rootUrl)?.page ?? Infinity) > page) held.set(rootUrl, { page, location });
+    };
+
+    const take = (rootUrl = null) => {
+        const key = rootUrl ?? held.keys().next().value;
+        const page = held.get(key);
+        if (!page) return null;
+        held.delete(key);
+        return { rootUrl: key, ...page };
+    };
+
+    const getState = () => Object.fromEntries(held);
+
+    return { hold, take, getState };
+};
+
+/**
+ * Agents taken from directory pages still being handled. A claim with a place counts toward the budget at once,
+ * but the agent joins the persisted seen and saved only through commit(), once its record is pushed and its
+ * requests are queued, so state saved mid-page (persistState, migrating) never marks an agent a restart would skip.
+ */
+export const createPageClaims = () => {
+    const claims = new Map();
+
+    const claim = (key, rootUrl, { place = true } = {}) => claims.set(key, { rootUrl, place });
+
+    const has = (key) => claims.has(key);
+
+    // The place of a claimed agent dropped before its page is done; false when the agent holds no claimed place
+    const release = (key) => {
+        const entry = claims.get(key);
+        if (!entry?.place) return false;
+        entry.place = false;
+        return true;
+    };
+
+    const places = (rootUrl = null) => [...claims.values()].filter((entry) => entry.place && (rootUrl === null || entry.rootUrl === rootUrl)).length;
+
+    // Ends the given claims, returning the ones still claimed with their place
+    const commit = (keys) => {
+        const committed = keys.filter((key) => claims.has(key)).map((key) => ({ key, ...claims.get(key) }));
+        keys.forEach((key) => claims.delete(key));
+        return committed;
+    };
+
+    return { claim, has, release, places, commit };
+};
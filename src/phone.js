@@ -0,0 +1,135 @@
+/**
+ * UK phone number parsing: E.164 and national formatting, number type and dialling area
+ */
+
+import { readFileSync } from 'node:fs';
+
+import { cleanText } from './utils.js';
+
+// Bundled lookup: geographic dialling code ("0113", "01865") -> area name
+const { areaCodes: AREA_CODES } = JSON.parse(readFileSync(new URL('./data/phone-areas.json', import.meta.url), 'utf8'));
+
+export const PHONE_TYPES = ['landline', 'mobile', 'non-geographic', 'tracked'];
+
+// "+44 (0)20 7123 4567", "0044 20...", "020-7123-4567", "(0113) 496 0555"; at most two separators between digits
+// and no more digits than a UK number has, so "020 7123 4567 - 020 7123 4568" is two candidates, not one
+const PHONE_CANDIDATE_REGEX = /(?:\+\s*44|\b0044|\(?\b0)(?:[\s().-]{0,2}\d){8,11}(?!\d)/g;
+const EXTENSION_REGEX = /^\s*(?:ext\.?|extn\.?|extension|x|#)\s*(\d{1,6})/i;
+
+const toNationalDigits = (candidate) => {
+    const digits = candidate.replace(/\(0\)/g, '').replace(/\D/g, '');
+    if (/^\+\s*44/.test(candidate)) return `0${digits.slice(2)}`;
+    if (digits.startsWith('0044')) return `0${digits.slice(4)}`;
+    return digits;
+};
+
+// 02x is a 3-digit code, 011x and 01x1 are 4 digits, every other 01 code is 5
+const getGeographicCode = (national) => {
+    if (national.startsWith('02')) return national.slice(0, 3);
+    if (/^01(1\d|\d1)/.test(national)) return national.slice(0, 4);
+    return national.slice(0, 5);
+};
+
+const formatNational = (national) => {
+    if (/^0[12]/.test(national)) {
+        const code = getGeographicCode(national);
+        const subscriber = national.slice(code.length);
+        // 3- and 4-digit codes split the local number, 5-digit codes keep it whole
+        if (code.length === 3) return `${code} ${subscriber.slice(0, 4)} ${subscriber.slice(4)}`;
+        if (code.length === 4) return `${code} ${subscriber.slice(0, 3)} ${subscriber.slice(3)}`;
+        return `${code} ${subscriber}`;
+    }
+    if (national.startsWith('07')) return `${national.slice(0, 5)} ${national.slice(5)}`;
+    if (national.startsWith('05')) return `${national.slice(0, 3)} ${national.slice(3, 7)} ${national.slice(7)}`;
+    // 03, 08 and 09; ten-digit freephone numbers (0800 123456) have no second split
+    if (national.length === 10) return `${national.slice(0, 4)} ${national.slice(4)}`;
+    return `${national.slice(0, 4)} ${national.slice(4, 7)} ${national.slice(7)}`;
+};
+
+const classify = (national) => {
+    if (/^0[12]/.test(national)) return 'landline';
+    // 070 personal numbers and 076 pagers are not mobiles
+    if (/^07[1-57-9]/.test(national)) return 'mobile';
+    return 'non-geographic';
+};
+
+const lookupArea = (national) => {
+    if (!/^0[12]/.test(national)) return { areaCode: null, area: null };
+    const code = getGeographicCode(national);
+    const area = AREA_CODES[code] || AREA_CODES[code.slice(0, 4)] || null;
+    return { areaCode: code, area };
+};
+
+const parseCandidate = (candidate, rest, { tracked = false, label = null } = {}) => {
+    const national = toNationalDigits(candidate);
+    // UK numbers are 0 plus 9 or 10 digits, and no valid number starts 00, 04 or 06
+    if (!/^0[1235789]\d{8,9}$/.test(national)) return null;
+    if (national.length === 10 && !/^0(1|800)/.test(national)) return null;
+
+    return {
+        e164: `+44${national.slice(1)}`,
+        national: formatNational(national),
+        type: tracked ? 'tracked' : classify(national),
+        ...lookupArea(national),
+        extension: rest.match(EXTENSION_REGEX)?.[1] || null,
+        label,
+    };
+};
+
+/**
+ * Every UK number in a tel: link, contact field or piece of card text.
+ * `tracked` marks numbers the source flags as call-tracking lines; they can't be told apart by their digits.
+ */
+export const parseUkPhones = (value, options = {}) => {
+    let text = cleanText(value);
+    if (!text) return [];
+    try {
+        text = decodeURIComponent(text.replace(/^tel:/i, ''));
+    } catch {
+        text = text.replace(/^tel:/i, '');
+    }
+
+    const phones = [];
+    for (const match of text.matchAll(PHONE_CANDIDATE_REGEX)) {
+        const rest = text.slice(match.index + match[0].length);
+        const phone = parseCandidate(match[0], rest, options);
+        if (phone) phones.push(phone);
+    }
+    return phones;
+};
+
+export const parseUkPhone = (value, options) => parseUkPhones(value, options)[0] || null;
+
+// Department from the text around a number: "Lettings 020...", aria-label "Call sales"
+export const getPhoneLabel = (context) => {
+    if (/letting|rent/i.test(context || '')) return 'lettings';
+    if (/sale|buy/i.test(context || '')) return 'sales';
+    return null;
+};
+
+export const normalizePhone = (value) => parseUkPhone(value)?.national ?? null;
+
+// First-seen wins; the same number under two labels keeps the first label
+export const mergePhoneLists = (...lists) => {
+    const merged = new Map();
+    for (const phone of lists.flat()) {
+        if (phone && !merged.has(phone.e164)) merged.set(phone.e164, phone);
+    }
+    return [...merged.values()];
+};
+
+/**
+ * Phone fields shared by every extraction tier: the first valid number is the main one,
+ * `phones` keeps every number that was found.
+ */
+export const buildPhoneFields = (phones) => {
+    const [primary] = phones;
+    return {
+        phone: primary?.national ?? null,
+        phoneE164: primary?.e164 ?? null,
+        phoneType: primary?.type ?? null,
+        phoneArea: primary?.area ?? null,
+        phoneExtension: primary?.extension ?? null,
+        phones,
+    };
+};
@@ -0,0 +1,38 @@
+/**
+ * IDs of review and listing records already pushed to their named datasets, so handler retries, restarts and
+ * scheduled runs do not push the same record twice
+ */
+
+// Records without an ID are always pushed; the same ID twice in one batch is pushed once
+export const createPushedIds = (getId) => {
+    const ids = new Set();
+
+    const fresh = (records) => {
+        const batch = new Set();
+        return records.filter((record) => {
+            const id = getId(record);
+            if (!id) return true;
+            if (ids.has(id) || batch.has(id)) return false;
+            batch.add(id);
+            return true;
+        });
+    };
+
+    const add = (records) => {
+        for (const record of records) {
+            const id = getId(record);
+            if (id) ids.add(id);
+        }
+    };
+
+    return { fresh, add, size: () => ids.size };
+};
+
+// IDs already in the dataset; with `runId`, only those pushed by that run
+export const loadPushedIds = async (dataset, getId, { runId = null } = {}) => {
+    const pushed = createPushedIds(getId);
+    await dataset.forEach((item) => {
+        if (runId === null || item.runId === runId) pushed.add([item]);
+    });
+    return pushed;
+};
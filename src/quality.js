@@ -0,0 +1,116 @@
+/**
+ * Record validation: non-agent entities, field type checks, a completeness score and per-record warnings
+ */
+
+import { readFileSync } from 'node:fs';
+
+// Field types come from the dataset schema the platform validates pushed items against: field -> allowed types
+const DATASET_SCHEMA = JSON.parse(readFileSync(new URL('../.actor/dataset_schema.json', import.meta.url), 'utf8'));
+export const RECORD_TYPES = Object.fromEntries(
+    Object.entries(DATASET_SCHEMA.fields.properties).map(([field, { type }]) => [field, [type].flat().filter((name) => name !== 'null')]),
+);
+
+// How much each field adds to `completeness`; contact details weigh most because that is what the data is used for
+const COMPLETENESS_WEIGHTS = {
+    name: 2,
+    agentId: 1,
+    url: 1,
+    companyName: 1,
+    address: 1,
+    postalCode: 1,
+    locality: 1,
+    phone: 3,
+    website: 1,
+    latitude: 1,
+    rating: 1,
+    reviewCount: 1,
+};
+const TOTAL_WEIGHT = Object.values(COMPLETENESS_WEIGHTS).reduce((total, weight) => total + weight, 0);
+
+// Zoopla's own organisation node, site navigation and ad slots picked up by the JSON-LD and HTML fallbacks
+const PORTAL_NAME_REGEX = /^(zoopla|rightmove|onthemarket)(\.co\.uk)?( ltd| limited)?$/i;
+const NAVIGATION_NAME_REGEX = /^(view (all|branch|agent|details)|find (an? )?agents?|estate agents|letting agents|see more|more details|next|previous|contact( agent)?)$/i;
+const SPONSORED_NAME_REGEX = /\b(sponsored|advert(isement)?|promoted|premium (agent|listing)|featured agents?)\b/i;
+
+const getType = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+const isPresent = (value) => value != null && value !== '' && !(Array.isArray(value) && !value.length);
+
+/**
+ * Why a record is not an estate agent at all, or null for a real agent.
+ * These are dropped before they are counted, whatever the minimum quality.
+ */
+export const getNonAgentReason = (record) => {
+    const name = record?.name?.trim();
+    if (!name) return 'no name';
+    if (PORTAL_NAME_REGEX.test(name)) return 'portal, not an agent';
+    if (NAVIGATION_NAME_REGEX.test(name)) return 'navigation link, not an agent';
+    // A real directory entry always links to its branch page or carries an ID
+    if (!record.agentId && !/\/branch\//.test(record.url || '')) return 'no agent ID or branch URL';
+    return null;
+};
+
+const hasWrongType = (record, field) => record[field] != null && !RECORD_TYPES[field].includes(getType(record[field]));
+
+export const validateRecordTypes = (record) =>
+    Object.keys(RECORD_TYPES)
+        .filter((field) => hasWrongType(record, field))
+        .map((field) => `${field}: expected ${RECORD_TYPES[field].join(' or ')}`);
+
+// The platform rejects a whole push over one field of the wrong type, so such a field is emptied (and warned about)
+export const clearInvalidFields = (record) => {
+    const invalid = Object.keys(RECORD_TYPES).filter((field) => hasWrongType(record, field));
+    return invalid.length ? { ...record, ...Object.fromEntries(invalid.map((field) => [field, null])) } : record;
+};
+
+// Share of the weighted fields that are filled, 0-100
+export const scoreCompleteness = (record) => {
+    const filled = Object.entries(COMPLETENESS_WEIGHTS)
+        .filter(([field]) => isPresent(record[field]))
+        .reduce((total, [, weight]) => total + weight, 0);
+    return Math.round((filled / TOTAL_WEIGHT) * 100);
+};
+
+export const getRecordWarnings = (record) => {
+    const warnings = [];
+    if (SPONSORED_NAME_REGEX.test(record.name || '')) warnings.push('name looks like a sponsored banner');
+    if (!record.phone) warnings.push('phone missing');
+    else if (record.phoneType === 'tracked') warnings.push('phone is a call-tracking number');
+    if (!record.address) warnings.push('address missing');
+    // postalCode is only set for full postcodes
+    if (!record.postalCode) warnings.push(record.outwardCode ? 'postcode partial' : 'postcode missing');
+    if (!record.companyName) warnings.push('company missing');
+    if (record.rating != null && (record.rating < 0 || record.rating > 5)) warnings.push('rating out of range');
+    if (record.latitude != null && (record.latitude < 49 || record.latitude > 61 || record.longitude < -9 || record.longitude > 2)) {
+        warnings.push('coordinates outside the UK');
+    }
+    return [...warnings, ...validateRecordTypes(record)];
+};
+
+export const assessRecord = (record) => ({ completeness: scoreCompleteness(clearInvalidFields(record)), warnings: getRecordWarnings(record) });
+
+// Dropped records and warnings for RUN_REPORT; `restored` is a previous snapshot() when a run resumes
+export const createQualityStats = (restored = null) => {
+    const stats = restored || { assessed: 0, completenessTotal: 0, dropped: { nonAgent: 0, belowMinQuality: 0 }, warnings: {} };
+
+    const recordDropped = (reason) => {
+        stats.dropped[reason]++;
+    };
+
+    const recordAssessment = ({ completeness, warnings }) => {
+        stats.assessed++;
+        stats.completenessTotal += completeness;
+        for (const warning of warnings) stats.warnings[warning] = (stats.warnings[warning] || 0) + 1;
+    };
+
+    const snapshot = () => stats;
+
+    const summary = () => ({
+        assessed: stats.assessed,
+        averageCompleteness: stats.assessed ? Math.round(stats.completenessTotal / stats.assessed) : null,
+        dropped: stats.dropped,
+        warnings: Object.fromEntries(Object.entries(stats.warnings).sort((a, b) => b[1] - a[1])),
+    });
+
+    return { recordDropped, recordAssessment, snapshot, summary };
+};
@@ -0,0 +1,59 @@
+/**
+ * Crawler state persisted in the default key-value store so a migrated or restarted run resumes where it stopped
+ */
+
+export const RUN_STATE_KEY = 'RUN_STATE';
+
+// Sets and Maps are stored as arrays and plain objects
+export const toStoredRunState = (state) => ({
+    savedAt: new Date().toISOString(),
+    seen: [...state.seen],
+    queued: [...state.queued],
+    written: [...state.written],
+    saved: state.saved,
+    savedBySearch: Object.fromEntries(state.savedBySearch),
+    budgetReached: state.budgetReached,
+    heldPages: state.heldPages,
+    searches: state.searches,
+    health: state.health,
+    blocking: state.blocking,
+    quality: state.quality,
+    filters: state.filters,
+    companies: state.companies,
+    history: state.history,
+    webhook: state.webhook,
+    mergedRecords: Object.fromEntries(state.mergedRecords),
+    foundInByKey: Object.fromEntries(state.foundInByKey),
+    currentSnapshot: state.currentSnapshot,
+    changeCounts: state.changeCounts,
+    finalized: state.finalized,
+});
+
+export const fromStoredRunState = (stored) => {
+    if (!stored || typeof stored !== 'object') return null;
+    return {
+        savedAt: stored.savedAt || null,
+        seen: new Set(stored.seen || []),
+        queued: new Set(stored.queued || []),
+        written: new Set(stored.written || []),
+        saved: stored.saved || 0,
+        savedBySearch: new Map(Object.entries(stored.savedBySearch || {})),
+        budgetReached: Boolean(stored.budgetReached),
+        heldPages: stored.heldPages || {},
+        searches: stored.searches || [],
+        health: stored.health || null,
+        blocking: stored.blocking || null,
+        quality: stored.quality || null,
+        filters: stored.filters || null,
+        companies: stored.companies || {},
+        history: stored.history || {},
+        webhook: stored.webhook || null,
+        mergedRecords: new Map(Object.entries(stored.mergedRecords || {})),
+        foundInByKey: new Map(Object.entries(stored.foundInByKey || {})),
+        currentSnapshot: stored.currentSnapshot || {},
+        changeCounts: stored.changeCounts || null,
+        finalized: Boolean(stored.finalized),
+    };
+};
+
+export const loadRunState = async (store) => fromStoredRunState(await store.getValue(RUN_STATE_KEY));
@@ -0,0 +1,107 @@
+/**
+ * Building and validating the Zoopla URLs the crawler visits
+ */
+
+import { AGENT_TYPES, BASE_URL } from './constants.js';
+import { cleanText } from './utils.js';
+
+export const buildSearchUrlForPage = (startUrl, page) => {
+    const url = new URL(startUrl);
+    url.searchParams.delete('page');
+    if (page > 1) {
+        url.searchParams.set('pn', String(page));
+    } else {
+        url.searchParams.delete('pn');
+    }
+    return url.toString();
+};
+
+const FULL_POSTCODE_REGEX = /^[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}$/i;
+const OUTWARD_POSTCODE_REGEX = /^[A-Z]{1,2}\d[A-Z\d]?$/i;
+
+// Zoopla location slugs: "Milton Keynes" -> "milton-keynes", "SW11" -> "sw11", "SW11 1AA" -> "sw11-1aa"
+export const toLocationSlug = (location) => {
+    const text = cleanText(location);
+    if (!text) return null;
+    const compact = text.replace(/\s+/g, '');
+    if (FULL_POSTCODE_REGEX.test(text)) {
+        return `${compact.slice(0, -3)}-${compact.slice(-3)}`.toLowerCase();
+    }
+    if (OUTWARD_POSTCODE_REGEX.test(text)) return compact.toLowerCase();
+    return text
+        .toLowerCase()
+        .replace(/&/g, 'and')
+        .replace(/['’.]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+export const buildLocationSearchUrl = (location, agentType = AGENT_TYPES[0], radius = '0') => {
+    const slug = toLocationSlug(location);
+    if (!slug) return null;
+    const url = new URL(`/find-agents/${agentType}/${slug}/`, BASE_URL);
+    if (radius && Number(radius) > 0) url.searchParams.set('radius', String(radius));
+    return url.toString();
+};
+
+// Returns a human-readable reason when the URL is not a Zoopla agent directory search, otherwise null
+export const validateDirectoryUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return 'not a valid URL';
+    }
+    if (!/(^|\.)zoopla\.co\.uk$/i.test(url.hostname)) return 'not a zoopla.co.uk URL';
+
+    const path = url.pathname.toLowerCase();
+    if (/\/(find-agents|estate-agents)\/branch\//.test(path)) {
+        return 'this is a single branch page - use the directory search it appears in instead';
+    }
+    if (/^\/(for-sale|to-rent|new-homes|property|house-prices)\//.test(path)) {
+        return 'this is a property search or listing page, not an agent directory';
+    }
+    const match = path.match(/^\/find-agents\/([^/]+)\/[^/]+/);
+    if (!match) return 'expected a directory URL such as https://www.zoopla.co.uk/find-agents/estate-agents/london/';
+    if (!AGENT_TYPES.includes(match[1])) return `unsupported agent type "${match[1]}" (use ${AGENT_TYPES.join(' or ')})`;
+    return null;
+};
+
+// Location part of a directory URL, e.g. ".../find-agents/estate-agents/milton-keynes/" -> "milton keynes"
+export const getSearchLocation = (value) => {
+    try {
+        const match = new URL(value).pathname.match(/^\/find-agents\/[^/]+\/([^/]+)/i);
+        return match ? decodeURIComponent(match[1]).replace(/-/g, ' ') : null;
+    } catch {
+        return null;
+    }
+};
+
+// Branch URL ".../find-agents/branch/<uriName>/<id>/" -> ".../for-sale/branch/<uriName>-<id>/" (or to-rent)
+export const buildAgentListingsUrl = (agentUrl, channel, page = 1) => {
+    const match = new URL(agentUrl).pathname.match(/\/branch\/([^/]+)\/(\d+)/);
+    if (!match) return null;
+    const url = new URL(`/${channel === 'rent' ? 'to-rent' : 'for-sale'}/branch/${match[1]}-${match[2]}/`, BASE_URL);
+    if (page > 1) url.searchParams.set('pn', String(page));
+    return url.toString();
+};
+
+export const buildReviewsUrlForPage = (agentUrl, page) => {
+    const url = new URL(agentUrl);
+    if (!url.pathname.endsWith('/')) url.pathname += '/';
+    if (!url.pathname.endsWith('/reviews/')) url.pathname += 'reviews/';
+    if (page > 1) {
+        url.searchParams.set('pn', String(page));
+    } else {
+        url.searchParams.delete('pn');
+    }
+    return url.toString();
+};
+
+// Next.js data route for a page: /find-agents/estate-agents/london/?pn=2 -> /_next/data/<buildId>/find-agents/estate-agents/london.json?pn=2
+export const buildNextDataUrl = (pageUrl, buildId) => {
+    if (!buildId) return null;
+    const url = new URL(pageUrl);
+    const path = url.pathname.replace(/\/+$/, '') || '/index';
+    return `${url.origin}/_next/data/${encodeURIComponent(buildId)}${path}.json${url.search}`;
+};
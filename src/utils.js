@@ -0,0 +1,43 @@
+/**
+ * Text, number, URL and postcode helpers shared by all extractors
+ */
+
+import { BASE_URL } from './constants.js';
+
+export const cleanText = (text) => (text ? String(text).replace(/\s+/g, ' ').trim() : null);
+
+export const ensureAbsoluteUrl = (value) => {
+    if (!value) return null;
+    let url = value;
+    if (typeof url === 'object') {
+        url = url.href || url.url || url.value || (typeof url.toString === 'function' ? url.toString() : null);
+    }
+    if (typeof url !== 'string') return null;
+    const trimmed = url.trim();
+    if (!trimmed || trimmed.startsWith('data:') || trimmed.startsWith('mailto:') || trimmed.startsWith('tel:')) return null;
+    if (trimmed.startsWith('//')) return `https:${trimmed}`;
+    if (trimmed.startsWith('http')) return trimmed;
+    return `${BASE_URL}${trimmed.startsWith('/') ? '' : '/'}${trimmed}`;
+};
+
+export const safeJsonParse = (value) => {
+    if (!value || typeof value !== 'string') return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+};
+
+export const parseNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (!value) return null;
+    const numeric = String(value).replace(/[^\d.]/g, '');
+    return numeric ? Number(numeric) : null;
+};
+
+export const extractNextDataFromHtml = (html) => {
+    const match = html.match(/<script[^>]+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/i);
+    if (!match) return null;
+    return safeJsonParse(match[1]?.trim());
+};
@@ -0,0 +1,162 @@
+/**
+ * Webhook output sink: saved records POSTed in batches, signed, retried with backoff and optionally mapped for a CRM
+ */
+
+import { createHmac } from 'node:crypto';
+
+export const WEBHOOK_TEMPLATES = ['raw', 'hubspot', 'salesforce'];
+
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// Timeouts, rate limits and server errors are worth another try; other 4xx answers will not change
+const isRetriableStatus = (status) => status === 408 || status === 425 || status === 429 || status >= 500;
+
+// Receivers recompute this over "<timestamp>.<body>" with the shared secret and compare
+export const signPayload = (secret, timestamp, body) => `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const toHubSpotCompany = (agent) => ({
+    properties: {
+        name: agent.companyName || agent.name,
+        phone: agent.phoneE164 || agent.phone,
+        address: agent.street || agent.address,
+        city: agent.town || agent.locality,
+        state: agent.county,
+        zip: agent.postalCode,
+        country: 'United Kingdom',
+        website: agent.website,
+        zoopla_agent_id: agent.agentId,
+        zoopla_branch_name: agent.branchName,
+        zoopla_url: agent.url,
+    },
+});
+
+const toSalesforceAccount = (agent) => ({
+    attributes: { type: 'Account' },
+    Name: agent.name || agent.companyName,
+    Phone: agent.phoneE164 || agent.phone,
+    Website: agent.website,
+    BillingStreet: agent.street || agent.address,
+    BillingCity: agent.town || agent.locality,
+    BillingState: agent.county,
+    BillingPostalCode: agent.postalCode,
+    BillingCountry: 'United Kingdom',
+    BillingLatitude: agent.latitude,
+    BillingLongitude: agent.longitude,
+    Zoopla_Agent_ID__c: agent.agentId,
+    Zoopla_URL__c: agent.url,
+});
+
+/**
+ * Request body for one batch. `raw` sends the records as they appear in the dataset (`shape` applies the output
+ * field selection); the CRM templates follow the HubSpot batch-create and Salesforce sObject Collections formats.
+ */
+export const buildWebhookPayload = (records, { template = 'raw', shape = (record) => record } = {}) => {
+    if (template === 'hubspot') return { inputs: records.map(toHubSpotCompany) };
+    if (template === 'salesforce') return { allOrNone: false, records: records.map(toSalesforceAccount) };
+    return { event: 'agents.saved', sentAt: new Date().toISOString(), count: records.length, records: records.map(shape) };
+};
+
+// Retry-After is either seconds or an HTTP date
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const ms = /^\d+$/.test(value.trim()) ? +value * 1000 : Date.parse(value) - Date.now();
+    return Number.isFinite(ms) ? Math.min(MAX_RETRY_AFTER_MS, Math.max(0, ms)) : null;
+};
+
+const defaultSleep = (ms) =>
+    new Promise((resolve) => {
+        setTimeout(resolve, ms);
+    });
+
+/**
+ * Records are buffered until `batchSize` are waiting, then sent as one POST. A batch that still fails after
+ * `maxRetries` retries is dropped and counted - the records are in the dataset either way.
+ * `restored` is a previous getState() when a run resumes, so records waiting in the buffer are not lost.
+ */
+export const createWebhookSink = (
+    {
+        url,
+        headers = {},
+        secret = null,
+        batchSize = 25,
+        maxRetries = 3,
+        retryDelayMs = 1000,
+        template = 'raw',
+        shape,
+        fetchImpl = fetch,
+        sleep = defaultSleep,
+    },
+    restored = null,
+) => {
+    let pending = restored?.pending || [];
+    const stats = { sentBatches: 0, sentRecords: 0, failedBatches: 0, failedRecords: 0, retries: 0, lastError: null, ...restored?.stats };
+
+    const post = async (body) => {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const response = await fetchImpl(url, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                ...headers,
+                ...(secret ? { 'x-webhook-timestamp': timestamp, 'x-webhook-signature': signPayload(secret, timestamp, body) } : {}),
+            },
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        return { status: response.status, ok: response.ok, retryAfter: response.headers.get('retry-after') };
+    };
+
+    const sendBatch = async (records) => {
+        const body = JSON.stringify(buildWebhookPayload(records, { template, shape }));
+        let error = null;
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            let retryAfterMs = null;
+            try {
+                const response = await post(body);
+                if (response.ok) {
+                    stats.sentBatches++;
+                    stats.sentRecords += records.length;
+                    return { ok: true, count: records.length, attempts: attempt + 1 };
+                }
+                error = `HTTP ${response.status}`;
+                if (!isRetriableStatus(response.status)) break;
+                retryAfterMs = parseRetryAfter(response.retryAfter);
+            } catch (err) {
+                error = err.message;
+            }
+            if (attempt < maxRetries) {
+                stats.retries++;
+                await sleep(retryAfterMs ?? retryDelayMs * 2 ** attempt);
+            }
+        }
+        stats.failedBatches++;
+        stats.failedRecords += records.length;
+        stats.lastError = error;
+        return { ok: false, count: records.length, error };
+    };
+
+    // Sends every full batch; returns one outcome per batch sent
+    const add = async (records) => {
+        pending = [...pending, ...records];
+        const outcomes = [];
+        while (pending.length >= batchSize) {
+            const batch = pending.slice(0, batchSize);
+            pending = pending.slice(batchSize);
+            outcomes.push(await sendBatch(batch));
+        }
+        return outcomes;
+    };
+
+    // Sends whatever is left in the buffer, at the end of the run
+    const flush = async () => {
+        if (!pending.length) return [];
+        const batch = pending;
+        pending = [];
+        return [await sendBatch(batch)];
+    };
+
+    const getState = () => ({ pending, stats });
+
+    return { add, flush, getState, stats: () => ({ ...stats, pending: pending.length }) };
+};
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    buildAddressFields,
+    extractCoordinates,
+    formatAddressObject,
+    parseUkAddress,
+    parseUkPostcode,
+} from '../src/address.js';
+
+describe('parseUkPostcode', () => {
+    it('normalizes full postcodes and splits outward and inward codes', () => {
+        assert.deepEqual(parseUkPostcode('1 High Street, London SW1A1AA'), {
+            postcode: 'SW1A 1AA',
+            outwardCode: 'SW1A',
+            inwardCode: '1AA',
+            postcodeIsFull: true,
+            match: 'SW1A1AA',
+        });
+    });
+
+    it('reports a trailing outward code without a postcode', () => {
+        const parsed = parseUkPostcode('12 High Street, Clapham, SW4');
+        assert.equal(parsed.postcode, null);
+        assert.equal(parsed.outwardCode, 'SW4');
+        assert.equal(parsed.postcodeIsFull, false);
+    });
+
+    it('does not take a flat or block number for an outward code', () => {
+        assert.equal(parseUkPostcode('Flat 3, Block B2').outwardCode, null);
+        assert.equal(parseUkPostcode('Unit 4, Riverside, Leeds, ls6').outwardCode, null);
+        assert.equal(parseUkPostcode('Riverside Court, ZZ9').outwardCode, null);
+        assert.equal(parseUkPostcode('High Street, Birmingham B2').outwardCode, 'B2');
+        assert.equal(parseUkAddress('Flat 3, Block B2').outwardCode, null);
+    });
+
+    it('finds nothing in text without a postcode', () => {
+        assert.equal(parseUkPostcode('Kirkstall Road, Leeds').outwardCode, null);
+        assert.equal(parseUkPostcode(null).match, null);
+    });
+});
+
+describe('parseUkAddress', () => {
+    it('splits street, town and county around the postcode', () => {
+        assert.deepEqual(parseUkAddress('3 Market Place, Reading, Berkshire, RG1 2EQ'), {
+            street: '3 Market Place',
+            town: 'Reading',
+            county: 'Berkshire',
+            postalCode: 'RG1 2EQ',
+            outwardCode: 'RG1',
+            inwardCode: '2EQ',
+            postcodeIsFull: true,
+        });
+    });
+
+    it('keeps multi-part streets together', () => {
+        const parsed = parseUkAddress('Unit 2, Temple Quay, Bristol BS1');
+        assert.equal(parsed.street, 'Unit 2, Temple Quay');
+        assert.equal(parsed.town, 'Bristol');
+    });
+
+    it('prefers structured PostalAddress values', () => {
+        const structured = { streetAddress: '9 Quay Street', addressLocality: 'Truro', addressRegion: 'Cornwall', postalCode: 'tr1 2hd' };
+        const parsed = parseUkAddress(formatAddressObject(structured), structured);
+        assert.equal(parsed.street, '9 Quay Street');
+        assert.equal(parsed.town, 'Truro');
+        assert.equal(parsed.county, 'Cornwall');
+        assert.equal(parsed.postalCode, 'TR1 2HD');
+    });
+});
+
+describe('formatAddressObject', () => {
+    it('joins PostalAddress parts and passes strings through', () => {
+        assert.equal(
+            formatAddressObject({ streetAddress: '9 Quay Street', addressLocality: 'Truro', postalCode: 'TR1 2HD' }),
+            '9 Quay Street, Truro, TR1 2HD',
+        );
+        assert.equal(formatAddressObject(' 1 High St '), '1 High St');
+        assert.equal(formatAddressObject(null), null);
+    });
+});
+
+describe('extractCoordinates', () => {
+    it('reads JSON-LD geo, nested location and flat lat/lng', () => {
+        assert.deepEqual(extractCoordinates({ geo: { latitude: '51.5', longitude: '-0.1' } }), { latitude: 51.5, longitude: -0.1 });
+        assert.deepEqual(extractCoordinates({ location: { coordinates: { lat: 53.8, lng: -1.5 } } }), { latitude: 53.8, longitude: -1.5 });
+        assert.deepEqual(extractCoordinates({ latitude: 50.2, longitude: -5 }), { latitude: 50.2, longitude: -5 });
+        assert.equal(extractCoordinates({ location: 'Leeds' }), null);
+    });
+});
+
+describe('buildAddressFields', () => {
+    it('does not turn a postcode into coordinates', () => {
+        const fields = buildAddressFields('1 Battersea Park Road, London, SW11 4NP');
+        assert.equal(fields.outwardCode, 'SW11');
+        assert.deepEqual([fields.latitude, fields.longitude, fields.geoPrecision], [null, null, null]);
+    });
+
+    it('marks source coordinates as exact', () => {
+        const fields = buildAddressFields('22 Otley Road, Leeds, LS6 2AL', { coordinates: { latitude: 53.82, longitude: -1.58 } });
+        assert.equal(fields.latitude, 53.82);
+        assert.equal(fields.geoPrecision, 'exact');
+        assert.equal(fields.town, 'Leeds');
+    });
+
+    it('leaves coordinates empty without a postcode', () => {
+        const fields = buildAddressFields('Kirkstall Road, Leeds');
+        assert.deepEqual([fields.latitude, fields.longitude, fields.geoPrecision], [null, null, null]);
+    });
+});
@@ -0,0 +1,279 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    dedupeAgents,
+    extractAgentsFromHtml,
+    extractAgentsFromJsonLd,
+    extractAgentsFromNextData,
+    mergeAgentSources,
+    normalizeZooplaAgent,
+} from '../src/extractors/agents.js';
+import { extractNextDataFromHtml } from '../src/utils.js';
+import { loadFixture } from './helpers.js';
+
+describe('extractAgentsFromNextData', () => {
+    const nextData = extractNextDataFromHtml(loadFixture('directory-next-data.html'));
+
+    it('reads agents, totalCount, pageSize and buildId from pageProps.data.agents', () => {
+        const { agents, totalCount, pageSize, buildId } = extractAgentsFromNextData(nextData);
+        assert.equal(agents.length, 2);
+        assert.equal(totalCount, 87);
+        assert.equal(pageSize, 3);
+        assert.equal(buildId, 'k2Yz-build-123');
+    });
+
+    it('normalizes a full agent record', () => {
+        const [agent] = extractAgentsFromNextData(nextData).agents;
+        assert.deepEqual(agent, {
+            agentId: '12345',
+            name: 'Foxtons - Battersea',
+            branchName: 'Battersea',
+            companyName: 'Foxtons',
+            url: 'https://www.zoopla.co.uk/find-agents/branch/foxtons-battersea/12345/',
+            address: '1 Battersea Park Road, London, SW11 4NP',
+            street: '1 Battersea Park Road',
+            town: 'London',
+            county: null,
+            postalCode: 'SW11 4NP',
+            outwardCode: 'SW11',
+            inwardCode: '4NP',
+            postcodeIsFull: true,
+            latitude: null,
+            longitude: null,
+            geoPrecision: null,
+            locality: 'London',
+            phone: '020 7123 4567',
+            phoneE164: '+442071234567',
+            phoneType: 'landline',
+            phoneArea: 'London',
+            phoneExtension: null,
+            phones: [
+                {
+                    e164: '+442071234567',
+                    national: '020 7123 4567',
+                    type: 'landline',
+                    areaCode: '020',
+                    area: 'London',
+                    extension: null,
+                    label: null,
+                },
+            ],
+            website: 'https://www.foxtons.co.uk',
+            logo: 'https://lid.zoocdn.com/120/90/foxtons.png',
+            rating: 4.6,
+            reviewCount: 120,
+            listingsForSale: 41,
+            listingsToRent: 63,
+            avgAskingPrice: 875000,
+            avgRentPrice: 2950,
+            featured: true,
+            source: 'api',
+        });
+    });
+
+    it('handles a missing logo, a mobile number and a partial postcode', () => {
+        const [, agent] = extractAgentsFromNextData(nextData).agents;
+        assert.equal(agent.logo, null);
+        assert.equal(agent.phone, '07700 900123');
+        assert.equal(agent.phoneE164, '+447700900123');
+        assert.equal(agent.phoneType, 'mobile');
+        assert.equal(agent.phoneArea, null);
+        assert.equal(agent.postalCode, null);
+        assert.equal(agent.outwardCode, 'SW4');
+        assert.equal(agent.postcodeIsFull, false);
+        assert.equal(agent.companyName, 'Independent Homes');
+        assert.equal(agent.branchName, 'Independent Homes');
+        assert.equal(agent.listingsToRent, null);
+    });
+
+    it('returns no agents when the results path has moved', () => {
+        const moved = { buildId: 'x', props: { pageProps: { data: { branches: { results: [] } } } } };
+        assert.deepEqual(extractAgentsFromNextData(moved), { agents: [], totalCount: 0, pageSize: 0, buildId: 'x' });
+        assert.deepEqual(extractAgentsFromNextData(null), { agents: [], totalCount: 0, pageSize: 0, buildId: null });
+    });
+});
+
+describe('normalizeZooplaAgent', () => {
+    it('splits "Company - Branch" display names', () => {
+        const agent = normalizeZooplaAgent({ id: 1, displayName: 'Acme Homes - North - Station Road' }, 'api');
+        assert.equal(agent.companyName, 'Acme Homes');
+        assert.equal(agent.branchName, 'North - Station Road');
+    });
+
+    it('prefers explicit company and branch names', () => {
+        const agent = normalizeZooplaAgent(
+            { id: 1, displayName: 'Acme - North', companyName: 'Acme Group', branchName: 'Acme North' },
+            'api',
+        );
+        assert.equal(agent.companyName, 'Acme Group');
+        assert.equal(agent.branchName, 'Acme North');
+    });
+
+    it('drops records without any name', () => {
+        assert.equal(normalizeZooplaAgent({ id: 1 }, 'api'), null);
+        assert.equal(normalizeZooplaAgent(null, 'api'), null);
+    });
+});
+
+describe('extractAgentsFromJsonLd', () => {
+    it('reads RealEstateAgent nodes nested in an ItemList', () => {
+        const agents = extractAgentsFromJsonLd(loadFixture('directory-json-ld.html'));
+        assert.equal(agents.length, 2);
+        assert.equal(agents[0].companyName, 'Harbourside Lettings');
+        assert.equal(agents[0].url, 'https://www.zoopla.co.uk/find-agents/branch/harbourside-lettings-clifton/24680/');
+        assert.equal(agents[0].rating, 4.8);
+        assert.equal(agents[0].reviewCount, 56);
+        assert.equal(agents[0].source, 'json-ld');
+    });
+
+    it('accepts @type arrays', () => {
+        const [, agent] = extractAgentsFromJsonLd(loadFixture('directory-json-ld.html'));
+        assert.equal(agent.name, 'Avon Property Management');
+        assert.equal(agent.postalCode, null);
+        assert.equal(agent.outwardCode, 'BS1');
+        assert.equal(agent.town, 'Bristol');
+    });
+
+    it('skips the publisher Organization node', () => {
+        const names = extractAgentsFromJsonLd(loadFixture('directory-json-ld.html')).map((agent) => agent.name);
+        assert.ok(!names.includes('Zoopla'));
+    });
+
+    it('returns nothing for pages without JSON-LD', () => {
+        assert.deepEqual(extractAgentsFromJsonLd(loadFixture('directory-html.html')), []);
+    });
+});
+
+describe('extractAgentsFromHtml', () => {
+    const agents = extractAgentsFromHtml(loadFixture('directory-html.html'));
+
+    it('reads one record per branch link', () => {
+        assert.equal(agents.length, 2);
+        assert.deepEqual(
+            agents.map((agent) => agent.agentId),
+            ['55501', '55502'],
+        );
+    });
+
+    it('parses card text for contact details and listing counts', () => {
+        const [agent] = agents;
+        assert.equal(agent.name, 'Northern Estates - Headingley');
+        assert.equal(agent.phone, '0113 496 0555');
+        assert.equal(agent.phoneArea, 'Leeds');
+        assert.deepEqual(
+            agent.phones.map((phone) => [phone.e164, phone.type, phone.label]),
+            [
+                ['+441134960555', 'landline', null],
+                ['+441134960999', 'tracked', 'lettings'],
+            ],
+        );
+        assert.equal(agent.postalCode, 'LS6 2AL');
+        assert.equal(agent.locality, 'Leeds');
+        assert.equal(agent.geoPrecision, null);
+        assert.equal(agent.logo, 'https://lid.zoocdn.com/80/60/northern-logo.png');
+        assert.equal(agent.listingsForSale, 18);
+        assert.equal(agent.listingsToRent, 4);
+        assert.equal(agent.source, 'html');
+    });
+
+    it('splits the company from the branch and reads the rating', () => {
+        const [agent, single] = agents;
+        assert.equal(agent.companyName, 'Northern Estates');
+        assert.equal(agent.branchName, 'Headingley');
+        assert.equal(agent.rating, 4.6);
+        assert.equal(agent.reviewCount, 1204);
+        assert.equal(single.companyName, 'Aire Valley Homes');
+        assert.equal(single.rating, null);
+    });
+
+    it('leaves missing card fields empty', () => {
+        const [, agent] = agents;
+        assert.equal(agent.logo, null);
+        assert.equal(agent.phone, null);
+        assert.deepEqual(agent.phones, []);
+        assert.equal(agent.postalCode, null);
+        assert.equal(agent.listingsForSale, 1);
+    });
+});
+
+describe('mergeAgentSources', () => {
+    const api = normalizeZooplaAgent(
+        { id: 12345, displayName: 'Foxtons - Battersea', uriName: 'foxtons-battersea', displayAddress: 'Battersea Park Road, London SW11' },
+        'api',
+    );
+    const jsonLd = normalizeZooplaAgent(
+        {
+            '@type': 'RealEstateAgent',
+            name: 'Foxtons - Battersea',
+            url: '/find-agents/branch/foxtons-battersea/12345/',
+            address: { streetAddress: '1 Battersea Park Road', addressLocality: 'London', postalCode: 'SW11 4NP' },
+            geo: { latitude: 51.4749, longitude: -0.1573 },
+            aggregateRating: { ratingValue: '4.7', reviewCount: '212' },
+        },
+        'json-ld',
+    );
+    const [html, sponsored] = extractAgentsFromHtml(`
+        <li class="agent-card">
+            <a href="/find-agents/branch/foxtons-battersea/12345/"><h2>Foxtons - Battersea</h2></a>
+            <a href="tel:020 7123 4567">Call</a>
+        </li>
+        <li class="agent-card">
+            <a href="/find-agents/branch/sponsored-agent/99999/"><h2>Sponsored Agent</h2></a>
+        </li>`);
+
+    it('fills fields from every tier and records where each came from', () => {
+        const { agents, unmatched } = mergeAgentSources({ api: [api], 'json-ld': [jsonLd], html: [html, sponsored] });
+        assert.equal(agents.length, 1);
+        assert.equal(unmatched, 1);
+
+        const [agent] = agents;
+        assert.equal(agent.agentId, '12345');
+        assert.equal(agent.phone, '020 7123 4567');
+        assert.equal(agent.rating, 4.7);
+        assert.equal(agent.reviewCount, 212);
+        assert.equal(agent.postalCode, 'SW11 4NP');
+        assert.equal(agent.street, '1 Battersea Park Road');
+        assert.equal(agent.geoPrecision, 'exact');
+        assert.equal(agent.source, 'api');
+        assert.deepEqual(agent.sources, ['api', 'json-ld', 'html']);
+        assert.equal(agent.fieldSources.agentId, 'api');
+        assert.equal(agent.fieldSources.rating, 'json-ld');
+        assert.equal(agent.fieldSources.postalCode, 'json-ld');
+        assert.equal(agent.fieldSources.phone, 'html');
+        assert.equal(agent.fieldSources.phones, 'html');
+        assert.equal(agent.fieldSources.website, undefined);
+    });
+
+    it('lets the first tier with agents decide which agents are on the page', () => {
+        const { agents } = mergeAgentSources({ api: [], 'json-ld': [], html: [html] });
+        assert.equal(agents.length, 1);
+        assert.equal(agents[0].source, 'html');
+        assert.deepEqual(agents[0].sources, ['html']);
+        assert.deepEqual(mergeAgentSources({ api: [], 'json-ld': [], html: [] }), { agents: [], unmatched: 0 });
+    });
+
+    it('keeps the api value when tiers disagree', () => {
+        const renamed = { ...jsonLd, companyName: 'Foxtons Ltd' };
+        const [agent] = mergeAgentSources({ api: [api], 'json-ld': [renamed] }).agents;
+        assert.equal(agent.companyName, 'Foxtons');
+        assert.equal(agent.fieldSources.companyName, 'api');
+    });
+});
+
+describe('dedupeAgents', () => {
+    it('keeps the first record per agentId, url or name+address', () => {
+        const agents = dedupeAgents([
+            { agentId: '1', name: 'A' },
+            { agentId: '1', name: 'A again' },
+            { agentId: null, url: 'https://x/2', name: 'B' },
+            { agentId: null, url: 'https://x/2', name: 'B again' },
+            { agentId: null, url: null, name: 'C', address: 'High St' },
+            { agentId: null, url: null, name: 'C', address: 'High St' },
+        ]);
+        assert.deepEqual(
+            agents.map((agent) => agent.name),
+            ['A', 'B', 'C'],
+        );
+    });
+});
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractBranchDetails, formatOpeningHours } from '../src/extractors/branch.js';
+import { loadFixture } from './helpers.js';
+
+describe('extractBranchDetails', () => {
+    it('merges __NEXT_DATA__, JSON-LD and HTML details', () => {
+        const details = extractBranchDetails(loadFixture('branch-page.html'));
+        assert.deepEqual(details.openingHours, ['Monday, Friday: 09:00-19:00', 'Saturday: 10:00-17:00']);
+        assert.match(details.description, /^Battersea's busiest branch/);
+        assert.equal(details.email, 'battersea@foxtons.co.uk');
+        assert.equal(details.contactFormUrl, 'https://www.zoopla.co.uk/find-agents/branch/foxtons-battersea/12345/contact/');
+        assert.equal(details.salesPhone, '020 7123 4567');
+        assert.equal(details.lettingsPhone, '020 7123 4999');
+        assert.deepEqual(
+            details.phones.map((phone) => [phone.e164, phone.label]),
+            [
+                ['+442071234567', 'sales'],
+                ['+442071234999', 'lettings'],
+            ],
+        );
+    });
+
+    it('returns empty fields for a page without branch data', () => {
+        assert.deepEqual(extractBranchDetails('<html><body></body></html>'), {
+            openingHours: null,
+            description: null,
+            email: null,
+            contactFormUrl: null,
+            salesPhone: null,
+            lettingsPhone: null,
+            phones: [],
+        });
+    });
+});
+
+describe('formatOpeningHours', () => {
+    it('formats __NEXT_DATA__ style entries', () => {
+        assert.deepEqual(
+            formatOpeningHours([
+                { day: 'Sunday', closed: true },
+                { day: 'Monday', openingTime: '09:00', closingTime: '17:30' },
+            ]),
+            ['Sunday: Closed', 'Monday: 09:00-17:30'],
+        );
+    });
+
+    it('keeps plain strings', () => {
+        assert.deepEqual(formatOpeningHours('Mon-Fri 9am - 6pm'), ['Mon-Fri 9am - 6pm']);
+        assert.equal(formatOpeningHours([]), null);
+    });
+});
@@ -0,0 +1,83 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { classifyAgentChange, diffAgentRecords, getMissingSnapshotFields, settleUnsavedAgents, toSnapshotRecord,TRACKED_FIELDS } from '../src/change-detection.js';
+
+const previous = toSnapshotRecord({
+    agentId: '1',
+    url: 'https://www.zoopla.co.uk/find-agents/branch/a/1/',
+    name: 'Acme - North',
+    phone: '020 7123 4567',
+    rating: 4.5,
+    listingsForSale: 41,
+    scrapedAt: '2026-01-01T00:00:00.000Z',
+});
+
+describe('classifyAgentChange', () => {
+    it('tags agents missing from the snapshot as new', () => {
+        assert.deepEqual(classifyAgentChange(undefined, previous), { changeStatus: 'new', changes: null });
+    });
+
+    it('ignores fields that are not tracked', () => {
+        const current = { ...previous, scrapedAt: '2026-01-08T00:00:00.000Z', source: 'html' };
+        assert.deepEqual(classifyAgentChange(previous, current), { changeStatus: 'unchanged', changes: null });
+    });
+
+    it('reports a per-field diff for changed agents', () => {
+        const current = { ...previous, listingsForSale: 47, phone: null };
+        assert.deepEqual(classifyAgentChange(previous, current), {
+            changeStatus: 'changed',
+            changes: {
+                phone: { previous: '020 7123 4567', current: null },
+                listingsForSale: { previous: 41, current: 47 },
+            },
+        });
+    });
+});
+
+describe('diffAgentRecords', () => {
+    it('treats undefined and null as equal', () => {
+        assert.deepEqual(diffAgentRecords({ rating: null }, {}), {});
+    });
+});
+
+describe('settleUnsavedAgents', () => {
+    const london = 'https://www.zoopla.co.uk/find-agents/estate-agents/london/';
+    const leeds = 'https://www.zoopla.co.uk/find-agents/estate-agents/leeds/';
+    const previousSnapshot = new Map([
+        ['id:1', { agentId: '1', rootUrl: london }],
+        ['id:2', { agentId: '2', rootUrl: london }],
+        ['id:3', { agentId: '3', rootUrl: london }],
+        ['id:4', { agentId: '4', rootUrl: leeds }],
+        ['id:5', { agentId: '5', rootUrl: null }],
+    ]);
+
+    it('only marks agents of completed searches that were not found as disappeared', () => {
+        const { disappeared, carried } = settleUnsavedAgents(previousSnapshot, { 'id:1': {} }, {
+            found: new Set(['id:1', 'id:3']),
+            completeSearches: new Set([london]),
+            allSearchesComplete: false,
+        });
+        assert.deepEqual(disappeared.map((record) => record.agentId), ['2']);
+        assert.deepEqual(Object.keys(carried), ['id:3', 'id:4', 'id:5']);
+    });
+
+    it('needs every search complete for agents without a search', () => {
+        const { disappeared } = settleUnsavedAgents(previousSnapshot, {}, {
+            found: new Set(),
+            completeSearches: new Set([london, leeds]),
+            allSearchesComplete: true,
+        });
+        assert.equal(disappeared.length, 5);
+    });
+});
+
+describe('getMissingSnapshotFields', () => {
+    it('lists the key and compared fields left out of the dataset', () => {
+        assert.deepEqual(getMissingSnapshotFields([]), []);
+        assert.deepEqual(getMissingSnapshotFields(['agentId', ...TRACKED_FIELDS]), []);
+        const missing = getMissingSnapshotFields(['name', 'phone']);
+        assert.equal(missing[0], 'agentId');
+        assert.ok(missing.includes('rating') && !missing.includes('name'));
+    });
+});
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createCompanyAggregator, normalizeCompanyKey, weightedRating } from '../src/companies.js';
+
+describe('normalizeCompanyKey', () => {
+    it('ignores casing, legal suffixes and & vs and', () => {
+        assert.equal(normalizeCompanyKey('Smith & Jones Ltd.'), 'smith and jones');
+        assert.equal(normalizeCompanyKey('SMITH AND JONES LIMITED'), 'smith and jones');
+        assert.equal(normalizeCompanyKey("Hunters' Estate Agents PLC"), 'hunters estate agents');
+        assert.equal(normalizeCompanyKey('  '), null);
+    });
+});
+
+describe('weightedRating', () => {
+    it('weights each branch by its review count', () => {
+        assert.equal(
+            weightedRating([
+                { rating: 5, reviewCount: 30 },
+                { rating: 3, reviewCount: 10 },
+                { rating: null, reviewCount: 100 },
+            ]),
+            4.5,
+        );
+    });
+
+    it('falls back to a plain mean without review counts', () => {
+        assert.equal(weightedRating([{ rating: 4 }, { rating: 5 }]), 4.5);
+        assert.equal(weightedRating([{ rating: null }]), null);
+    });
+});
+
+describe('createCompanyAggregator', () => {
+    it('rolls branches up by normalized company', () => {
+        const companies = createCompanyAggregator();
+        companies.add({ agentId: '1', companyName: 'Smith & Jones', locality: 'Leeds', listingsForSale: 10, listingsToRent: 2, rating: 5, reviewCount: 3 });
+        companies.add({ agentId: '2', companyName: 'Smith and Jones Ltd', locality: 'Bradford', listingsForSale: 5, rating: 4, reviewCount: 1 });
+        companies.add({ agentId: '3', companyName: 'Smith & Jones', locality: 'Leeds', listingsToRent: 7 });
+        companies.add({ agentId: '4', name: 'Solo Lettings' });
+
+        const [smithJones, solo] = companies.summary();
+        assert.deepEqual(smithJones, {
+            companyKey: 'smith and jones',
+            companyName: 'Smith & Jones',
+            branchCount: 3,
+            localities: ['Bradford', 'Leeds'],
+            localityCount: 2,
+            totalListingsForSale: 15,
+            totalListingsToRent: 9,
+            totalReviews: 4,
+            averageRating: 4.75,
+            agentIds: ['1', '2', '3'],
+        });
+        assert.equal(solo.companyName, 'Solo Lettings');
+        assert.equal(solo.branchCount, 1);
+    });
+});
@@ -0,0 +1,138 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { Configuration, KeyValueStore } from '@crawlee/playwright';
+import ExcelJS from 'exceljs';
+
+import { buildExport, createFieldShaper, EXPORT_FORMATS, toCsv, toGeoJson, toVCard, toVCards, toXlsx } from '../src/exports.js';
+import { buildPhoneFields, parseUkPhones } from '../src/phone.js';
+
+const agent = {
+    agentId: '12345',
+    name: 'Foxtons Battersea',
+    branchName: 'Battersea',
+    companyName: 'Foxtons',
+    address: '1 Battersea Park Road, London, SW11 4NP',
+    street: '1 Battersea Park Road',
+    town: 'London',
+    county: null,
+    postalCode: 'SW11 4NP',
+    latitude: 51.4749,
+    longitude: -0.1573,
+    ...buildPhoneFields([...parseUkPhones('020 7123 4567', { label: 'sales' }), ...parseUkPhones('020 7123 4568', { label: 'lettings' })]),
+    website: 'https://www.foxtons.co.uk',
+    url: 'https://www.zoopla.co.uk/find-agents/branch/foxtons-battersea-12345/',
+    rating: 4.5,
+};
+
+describe('createFieldShaper', () => {
+    it('keeps every field when none are selected', () => {
+        const { shape } = createFieldShaper();
+        assert.deepEqual(shape(agent), agent);
+    });
+
+    it('selects and renames fields and maps them back', () => {
+        const { shape, unshape } = createFieldShaper({ fields: ['name', 'postalCode', 'phone'], renames: { postalCode: 'Postcode' } });
+        const shaped = shape(agent);
+        assert.deepEqual(shaped, { name: 'Foxtons Battersea', Postcode: 'SW11 4NP', phone: '020 7123 4567' });
+        assert.deepEqual(unshape(shaped), { name: 'Foxtons Battersea', postalCode: 'SW11 4NP', phone: '020 7123 4567' });
+    });
+});
+
+describe('toCsv', () => {
+    it('writes a BOM, CRLF lines and one column per field seen', () => {
+        const csv = toCsv([{ name: 'A', tags: ['x', 'y'] }, { name: 'B', rating: 4 }]);
+        assert.ok(csv.startsWith('\uFEFFname,tags,rating\r\n'));
+        assert.equal(csv.slice(1), 'name,tags,rating\r\nA,x; y,\r\nB,,4\r\n');
+    });
+
+    it('quotes commas and quotes and defuses formulas', () => {
+        const csv = toCsv([{ address: '1 High St, "Old" Town', note: '=HYPERLINK("x")', phone: '+44 20 7123 4567' }]);
+        const [, row] = csv.slice(1).split('\r\n');
+        assert.equal(row, '"1 High St, ""Old"" Town","\'=HYPERLINK(""x"")",+44 20 7123 4567');
+    });
+
+    it('writes nested objects as JSON', () => {
+        const csv = toCsv([{ phones: [{ e164: '+442071234567' }] }]);
+        assert.ok(csv.includes('"[{""e164"":""+442071234567""}]"'));
+    });
+});
+
+describe('toXlsx', () => {
+    it('writes a header row and one row per record', async () => {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await toXlsx([agent]));
+        const sheet = workbook.getWorksheet('Agents');
+        assert.equal(sheet.getRow(1).getCell(1).value, 'agentId');
+        assert.equal(sheet.getRow(2).getCell(2).value, 'Foxtons Battersea');
+        assert.equal(sheet.rowCount, 2);
+    });
+});
+
+describe('toVCard', () => {
+    it('writes a contact with every phone number in E.164', () => {
+        const lines = toVCard(agent).split('\r\n');
+        assert.equal(lines[0], 'BEGIN:VCARD');
+        assert.ok(lines.includes('FN:Foxtons Battersea'));
+        assert.ok(lines.includes('ORG:Foxtons;Battersea'));
+        assert.ok(lines.includes('TEL;TYPE=WORK,VOICE,X-SALES:+442071234567'));
+        assert.ok(lines.includes('TEL;TYPE=WORK,VOICE,X-LETTINGS:+442071234568'));
+        assert.ok(lines.includes('ADR;TYPE=WORK:;;1 Battersea Park Road;London;;SW11 4NP;United Kingdom'));
+        assert.ok(lines.includes('GEO:51.4749;-0.1573'));
+        assert.equal(lines.at(-1), 'END:VCARD');
+    });
+
+    it('escapes separators and folds long lines', () => {
+        const card = toVCard({ name: 'Smith, Jones; Co', url: `https://www.zoopla.co.uk/${'x'.repeat(100)}` });
+        assert.ok(card.includes('FN:Smith\\, Jones\\; Co'));
+        assert.ok(card.split('\r\n').every((line) => line.length <= 75));
+    });
+
+    it('falls back to the main phone field', () => {
+        assert.ok(toVCard({ name: 'A', phoneE164: '+441134960555' }).includes('TEL;TYPE=WORK,VOICE:+441134960555'));
+        assert.ok(!toVCard({ name: 'A' }).includes('TEL'));
+    });
+
+    it('joins contacts into one file', () => {
+        assert.equal(toVCards([agent, agent]).match(/BEGIN:VCARD/g).length, 2);
+    });
+});
+
+describe('toGeoJson', () => {
+    it('makes points of agents with coordinates', () => {
+        const geojson = toGeoJson([agent, { name: 'No coordinates', latitude: null, longitude: null }]);
+        assert.equal(geojson.type, 'FeatureCollection');
+        assert.equal(geojson.features.length, 1);
+        assert.deepEqual(geojson.features[0].geometry, { type: 'Point', coordinates: [-0.1573, 51.4749] });
+        assert.equal(geojson.features[0].properties.name, 'Foxtons Battersea');
+        assert.equal(geojson.features[0].properties.latitude, undefined);
+    });
+});
+
+describe('buildExport', () => {
+    it('gives every format a value the key-value store accepts with its content type', async () => {
+        // In-memory storage: the same setValue() checks as a run, without writing to ./storage
+        const config = new Configuration({ persistStorage: false, storageClientOptions: { persistStorage: false, writeMetadata: false } });
+        const store = await KeyValueStore.open('exports-test', { config });
+        const items = [agent, { ...agent, agentId: '999', name: 'Closed branch', changeStatus: 'disappeared' }];
+
+        for (const format of EXPORT_FORMATS) {
+            const { key, value, contentType } = await buildExport(format, items);
+            await store.setValue(key, value, { contentType });
+        }
+
+        const geojson = JSON.parse((await store.getValue('agents.geojson')).toString());
+        assert.deepEqual(
+            geojson.features.map((feature) => feature.properties.name),
+            ['Foxtons Battersea'],
+        );
+        assert.match((await store.getValue('agents.csv')).toString(), /Closed branch/);
+        assert.equal((await store.getValue('agents.vcf')).toString().match(/BEGIN:VCARD/g).length, 1);
+    });
+
+    it('reads renamed fields back for the vCard and GeoJSON exports', async () => {
+        const shaper = createFieldShaper({ renames: { latitude: 'lat', longitude: 'lng' } });
+        const { value } = await buildExport('geojson', [shaper.shape(agent)], shaper);
+        assert.equal(JSON.parse(value).features.length, 1);
+    });
+});
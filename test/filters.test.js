@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createFilterStats, getFilterReason, parseAgentFilters } from '../src/filters.js';
+
+const AGENT = {
+    agentId: '12345',
+    name: 'Smith & Jones - Battersea',
+    companyName: 'Smith & Jones',
+    outwardCode: 'SW11',
+    rating: 4.6,
+    reviewCount: 120,
+    listingsForSale: 35,
+    listingsToRent: 12,
+    avgAskingPrice: 650000,
+    avgRentPrice: null,
+    featured: false,
+};
+
+describe('parseAgentFilters', () => {
+    it('is null without filters', () => {
+        assert.equal(parseAgentFilters({}), null);
+        assert.equal(parseAgentFilters({ minRating: '', maxListingsForSale: null, featured: 'any', postcodeAreas: [] }), null);
+    });
+
+    it('normalizes company names and postcode entries', () => {
+        const filters = parseAgentFilters({ minRating: '4', excludeCompanies: ['Foxtons Ltd'], postcodeAreas: ['sw', 'e1 6an', ' N1 '] });
+        assert.deepEqual(filters.ranges, [['minRating', 'rating', 'min', 4]]);
+        assert.deepEqual(filters.excludeCompanies, ['foxtons']);
+        assert.deepEqual(filters.postcodeAreas, ['SW', 'E1', 'N1']);
+    });
+});
+
+describe('getFilterReason', () => {
+    const reason = (input, agent = AGENT) => getFilterReason(agent, parseAgentFilters(input));
+
+    it('checks rating, review and stock bounds', () => {
+        assert.equal(reason({ minRating: 4.5, minReviewCount: 100, minListingsForSale: 10, maxListingsForSale: 50 }), null);
+        assert.equal(reason({ minRating: 4.8 }), 'minRating');
+        assert.equal(reason({ maxListingsForSale: 30 }), 'maxListingsForSale');
+        assert.equal(reason({ minListingsToRent: 12, maxListingsToRent: 12 }), null);
+    });
+
+    it('rejects agents without the value a bound is set on', () => {
+        assert.equal(reason({ maxAvgRentPrice: 3000 }), 'maxAvgRentPrice');
+        assert.equal(reason({ minAvgAskingPrice: 500000, maxAvgAskingPrice: 800000 }), null);
+    });
+
+    it('keeps or drops featured agents', () => {
+        assert.equal(reason({ featured: 'only' }), 'featured');
+        assert.equal(reason({ featured: 'exclude' }), null);
+        assert.equal(reason({ featured: 'exclude' }, { ...AGENT, featured: true }), 'featured');
+    });
+
+    it('matches companies on whole words of the normalized name', () => {
+        assert.equal(reason({ includeCompanies: ['smith and jones'] }), null);
+        assert.equal(reason({ includeCompanies: ['Foxtons'] }), 'includeCompanies');
+        assert.equal(reason({ excludeCompanies: ['Smith & Jones Limited'] }), 'excludeCompanies');
+        assert.equal(reason({ excludeCompanies: ['connells'] }, { ...AGENT, companyName: "O'Connells Estates" }), null);
+        assert.equal(reason({ excludeCompanies: ['connells'] }, { ...AGENT, companyName: 'Connells Lettings' }), 'excludeCompanies');
+    });
+
+    it('allows postcode areas and outward codes', () => {
+        assert.equal(reason({ postcodeAreas: ['SW'] }), null);
+        assert.equal(reason({ postcodeAreas: ['SW11'] }), null);
+        assert.equal(reason({ postcodeAreas: ['SW1', 'S'] }), 'postcodeAreas');
+        assert.equal(reason({ postcodeAreas: ['SW'] }, { ...AGENT, outwardCode: null }), 'postcodeAreas');
+    });
+});
+
+describe('createFilterStats', () => {
+    it('counts agents per filter and carries on from a snapshot', () => {
+        const stats = createFilterStats();
+        ['minRating', null, 'minRating', 'postcodeAreas'].forEach(stats.record);
+        const resumed = createFilterStats(structuredClone(stats.snapshot()));
+        resumed.record(null);
+        assert.deepEqual(resumed.snapshot(), { checked: 5, passed: 2, filteredBy: { minRating: 2, postcodeAreas: 1 } });
+    });
+});
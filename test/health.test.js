@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildHealthReport, createHealthStats } from '../src/health.js';
+
+const agent = (overrides = {}) => ({ phone: '020 7123 4567', rating: 4.5, listingsForSale: 3, ...overrides });
+
+describe('buildHealthReport', () => {
+    it('counts tiers per page and field fill rates per agent', () => {
+        const stats = createHealthStats();
+        stats.recordPage({ url: 'p1', tier: 'api', hasNextData: true, agents: [agent(), agent({ phone: null })] });
+        stats.recordPage({ url: 'p2', tier: 'html', hasNextData: false, agents: [agent({ rating: null })] });
+        stats.recordPage({ url: 'p3', tier: 'none', hasNextData: false, agents: [] });
+        stats.recordPage({ url: 'p4', tier: 'api', hasNextData: true, agents: [agent()] });
+
+        const report = buildHealthReport(stats);
+        assert.equal(report.pageCount, 4);
+        assert.equal(report.agentCount, 4);
+        assert.deepEqual(report.tierCounts, { api: 2, 'json-ld': 0, html: 1, none: 1 });
+        assert.equal(report.tierRates.html, 0.25);
+        assert.equal(report.fieldFillRates.phone, 0.75);
+        assert.equal(report.fieldFillRates.rating, 0.75);
+        assert.equal(report.fieldFillRates.website, 0);
+        assert.equal(report.healthy, true);
+    });
+
+    it('reports threshold violations', () => {
+        const stats = createHealthStats();
+        stats.recordPage({ url: 'p1', tier: 'html', hasNextData: false, agents: [agent({ phone: null })] });
+        stats.recordPage({ url: 'p2', tier: 'api', hasNextData: true, agents: [agent()] });
+
+        const report = buildHealthReport(stats, { maxHtmlFallbackRate: 0.2, minPhoneCoverage: 0.6 });
+        assert.equal(report.healthy, false);
+        assert.deepEqual(report.violations, [
+            '50% of pages fell back to HTML parsing (limit 20%)',
+            'phone coverage is 50% (minimum 60%)',
+        ]);
+    });
+
+    it('flags __NEXT_DATA__ pages that yielded no agents', () => {
+        const stats = createHealthStats();
+        stats.recordPage({ url: 'p1', tier: 'json-ld', hasNextData: true, agents: [agent()] });
+
+        const report = buildHealthReport(stats);
+        assert.equal(report.nextDataWithoutAgents, 1);
+        assert.match(report.violations[0], /data path may have moved/);
+    });
+
+    it('leaves rates empty for a run without pages', () => {
+        const report = buildHealthReport(createHealthStats(), { maxHtmlFallbackRate: 0.2, minPhoneCoverage: 0.5 });
+        assert.equal(report.tierRates.html, null);
+        assert.equal(report.fieldFillRates.phone, null);
+        assert.equal(report.healthy, true);
+    });
+});
@@ -0,0 +1,3 @@
+import { readFileSync } from 'node:fs';
+
+export const loadFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildAgentTrend, buildTrendSummary, createHistoryRecorder, groupHistory, toHistoryPoint } from '../src/history.js';
+
+const point = (agentId, date, metrics = {}) => ({
+    agentId,
+    date,
+    name: `Agent ${agentId}`,
+    companyName: null,
+    locality: 'Battersea',
+    outwardCode: 'SW11',
+    listingsForSale: 20,
+    listingsToRent: 10,
+    avgAskingPrice: 600000,
+    avgRentPrice: 2500,
+    rating: 4.5,
+    reviewCount: 100,
+    ...metrics,
+});
+
+describe('toHistoryPoint', () => {
+    it('keeps the metrics and the run date of an agent with an ID', () => {
+        const record = { agentId: 12345, name: 'Smith & Jones', locality: 'Battersea', listingsForSale: 35, rating: 4.6, phone: '020', scrapedAt: '2026-10-19T08:00:00.000Z' };
+        const stored = toHistoryPoint(record);
+        assert.equal(stored.agentId, '12345');
+        assert.equal(stored.date, '2026-10-19');
+        assert.equal(stored.listingsForSale, 35);
+        assert.equal(stored.avgRentPrice, null);
+        assert.equal(stored.phone, undefined);
+        assert.equal(toHistoryPoint({ name: 'No ID' }), null);
+    });
+});
+
+describe('createHistoryRecorder', () => {
+    it('keeps one point per agent and carries on from its state', () => {
+        const recorder = createHistoryRecorder();
+        recorder.add({ agentId: '1', listingsForSale: 5, scrapedAt: '2026-10-19T08:00:00.000Z' });
+        recorder.add({ name: 'No ID' });
+        const resumed = createHistoryRecorder(structuredClone(recorder.getState()));
+        resumed.add({ agentId: '1', listingsForSale: 6, scrapedAt: '2026-10-19T09:00:00.000Z' });
+        resumed.add({ agentId: '2', scrapedAt: '2026-10-19T09:00:00.000Z' });
+        assert.deepEqual(resumed.getPoints().map((stored) => [stored.agentId, stored.listingsForSale]), [['1', 6], ['2', null]]);
+    });
+});
+
+describe('groupHistory', () => {
+    it('sorts each agent by date and keeps the last point of a repeated date', () => {
+        const grouped = groupHistory([point('1', '2026-10-12'), point('1', '2026-10-05'), point('1', '2026-10-12', { rating: 4.7 })]);
+        assert.deepEqual(grouped.get('1').map((stored) => [stored.date, stored.rating]), [['2026-10-05', 4.5], ['2026-10-12', 4.7]]);
+    });
+});
+
+describe('buildAgentTrend', () => {
+    const series = [point('1', '2026-10-05', { listingsForSale: 10 }), point('1', '2026-10-12', { listingsForSale: 12, rating: 4.4 }), point('1', '2026-10-17')];
+
+    it('compares with the latest point at least a week old', () => {
+        const trend = buildAgentTrend(point('1', '2026-10-19', { listingsForSale: 18, rating: 4.6, reviewCount: 104 }), series);
+        assert.equal(trend.baselineDate, '2026-10-12');
+        assert.equal(trend.daysCompared, 7);
+        assert.equal(trend.stock, 28);
+        assert.equal(trend.stockChange, 6);
+        assert.equal(trend.stockChangePercent, 27.3);
+        assert.equal(trend.ratingChange, 0.2);
+        assert.equal(trend.reviewCountChange, 4);
+        assert.equal(trend.movement, 'steady');
+    });
+
+    it('flags stock that jumped or collapsed past the threshold', () => {
+        assert.equal(buildAgentTrend(point('1', '2026-10-19', { listingsForSale: 40 }), series).movement, 'jumped');
+        assert.equal(buildAgentTrend(point('1', '2026-10-19', { listingsForSale: 0, listingsToRent: 2 }), series).movement, 'collapsed');
+        assert.equal(buildAgentTrend(point('1', '2026-10-19', { listingsForSale: 22 }), series).movement, 'steady');
+        assert.equal(buildAgentTrend(point('1', '2026-10-19', { listingsForSale: 22 }), series, { jumpPercent: 25 }).movement, 'jumped');
+        const fromNothing = [point('2', '2026-10-01', { listingsForSale: 0, listingsToRent: 0 })];
+        assert.equal(buildAgentTrend(point('2', '2026-10-19', { listingsForSale: 8, listingsToRent: 0 }), fromNothing).movement, 'jumped');
+    });
+
+    it('has no changes before the history is a week old', () => {
+        const trend = buildAgentTrend(point('1', '2026-10-19'), [point('1', '2026-10-17')]);
+        assert.equal(trend.baselineDate, null);
+        assert.equal(trend.stockChange, null);
+        assert.equal(trend.movement, null);
+    });
+});
+
+describe('buildTrendSummary', () => {
+    it('rolls agents up per locality and lists the movers', () => {
+        const history = [
+            point('1', '2026-10-12'),
+            point('2', '2026-10-12', { listingsForSale: 40 }),
+            point('3', '2026-10-12', { locality: 'Clapham' }),
+            point('1', '2026-10-19', { listingsForSale: 60 }),
+        ];
+        const current = [
+            point('1', '2026-10-19', { listingsForSale: 60 }),
+            point('2', '2026-10-19', { listingsForSale: 5, listingsToRent: 0, rating: 4.3 }),
+            point('3', '2026-10-19', { locality: 'Clapham' }),
+            point('4', '2026-10-19', { locality: null }),
+        ];
+        const trends = buildTrendSummary(current, history);
+
+        assert.equal(trends.date, '2026-10-19');
+        assert.equal(trends.comparedCount, 3);
+        assert.deepEqual(trends.jumped.map((trend) => trend.agentId), ['1']);
+        assert.deepEqual(trends.collapsed.map((trend) => trend.agentId), ['2']);
+        assert.deepEqual(trends.agents.map((trend) => trend.agentId), ['1', '2', '3', '4']);
+
+        const battersea = trends.localities.find((locality) => locality.locality === 'Battersea');
+        assert.equal(battersea.agentCount, 2);
+        assert.equal(battersea.stock, 75);
+        assert.equal(battersea.stockChange, -5);
+        assert.equal(battersea.stockChangePercent, -6.2);
+        assert.equal(battersea.averageRatingChange, -0.1);
+        assert.deepEqual([battersea.jumped, battersea.collapsed], [1, 1]);
+        assert.equal(trends.localities.at(-1).locality, 'unknown');
+    });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractListings, normalizeZooplaListing } from '../src/extractors/listings.js';
+import { buildAgentListingsUrl } from '../src/urls.js';
+import { loadFixture } from './helpers.js';
+
+describe('extractListings', () => {
+    it('reads listings and totalCount from __NEXT_DATA__', () => {
+        const { listings, totalCount } = extractListings(loadFixture('listings-page.html'), 'sale');
+        assert.equal(totalCount, 41);
+        assert.deepEqual(listings[0], {
+            listingId: '67001234',
+            channel: 'sale',
+            url: 'https://www.zoopla.co.uk/for-sale/details/67001234/',
+            price: 650000,
+            priceText: '£650,000',
+            bedrooms: 2,
+            bathrooms: 1,
+            propertyType: 'flat',
+            address: 'Prince of Wales Drive, London SW11',
+            dateAdded: '2026-01-05',
+            reduced: true,
+            source: 'api',
+        });
+    });
+
+    it('parses prices out of "Offers over" text', () => {
+        const [, listing] = extractListings(loadFixture('listings-page.html'), 'sale').listings;
+        assert.equal(listing.price, 1250000);
+        assert.equal(listing.bedrooms, 4);
+        assert.equal(listing.propertyType, 'terraced house');
+        assert.equal(listing.reduced, false);
+    });
+
+    it('falls back to listing cards in the HTML', () => {
+        const { listings } = extractListings(loadFixture('listings-page-html.html'), 'rent');
+        assert.equal(listings.length, 1);
+        assert.equal(listings[0].url, 'https://www.zoopla.co.uk/to-rent/details/68005555/');
+        assert.equal(listings[0].price, 2300);
+        assert.equal(listings[0].bedrooms, 1);
+        assert.equal(listings[0].propertyType, 'flat');
+        assert.equal(listings[0].dateAdded, '2026-01-02');
+        assert.equal(listings[0].reduced, true);
+        assert.equal(listings[0].source, 'html');
+    });
+});
+
+describe('normalizeZooplaListing', () => {
+    it('drops entries without a listing id', () => {
+        assert.equal(normalizeZooplaListing({ price: '£1' }, 'sale', 'api'), null);
+    });
+});
+
+describe('buildAgentListingsUrl', () => {
+    const branch = 'https://www.zoopla.co.uk/find-agents/branch/foxtons-battersea/12345/';
+
+    it('maps a branch URL to its for-sale and to-rent listings', () => {
+        assert.equal(buildAgentListingsUrl(branch, 'sale'), 'https://www.zoopla.co.uk/for-sale/branch/foxtons-battersea-12345/');
+        assert.equal(buildAgentListingsUrl(branch, 'rent', 2), 'https://www.zoopla.co.uk/to-rent/branch/foxtons-battersea-12345/?pn=2');
+    });
+
+    it('returns null for URLs without a branch id', () => {
+        assert.equal(buildAgentListingsUrl('https://www.zoopla.co.uk/find-agents/estate-agents/london/', 'sale'), null);
+    });
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, it } from 'node:test';
+
+import { createReplaySource, getLiveOutputs, readSnapshotUrl, toPageSnapshot, toPageSnapshotKey } from '../src/page-snapshots.js';
+import { extractNextDataFromHtml } from '../src/utils.js';
+import { loadFixture } from './helpers.js';
+
+const DIRECTORY_URL = 'https://www.zoopla.co.uk/find-agents/estate-agents/london/?pn=2';
+
+describe('toPageSnapshotKey', () => {
+    it('gives the same valid key for a URL with or without a hash', () => {
+        const key = toPageSnapshotKey(DIRECTORY_URL);
+        assert.match(key, /^page-[0-9a-f]{40}$/);
+        assert.equal(toPageSnapshotKey(`${DIRECTORY_URL}#results`), key);
+        assert.notEqual(toPageSnapshotKey(DIRECTORY_URL.replace('pn=2', 'pn=3')), key);
+    });
+});
+
+describe('toPageSnapshot', () => {
+    it('keeps the page and marks it with its URL', () => {
+        const html = loadFixture('directory-next-data.html');
+        const snapshot = toPageSnapshot({ url: DIRECTORY_URL, label: 'DIRECTORY', html });
+        assert.ok(snapshot.endsWith(html));
+        assert.equal(readSnapshotUrl(snapshot), DIRECTORY_URL);
+    });
+
+    it('wraps a data route answer so the Next.js data is read back', () => {
+        const nextData = { props: { pageProps: { title: '</script> agents' } } };
+        const snapshot = toPageSnapshot({ url: DIRECTORY_URL, label: 'DIRECTORY', html: null, nextData });
+        assert.deepEqual(extractNextDataFromHtml(snapshot), nextData);
+    });
+});
+
+describe('createReplaySource', () => {
+    const directory = mkdtempSync(join(tmpdir(), 'zoopla-replay-'));
+    after(() => rmSync(directory, { recursive: true, force: true }));
+
+    it('serves stored snapshots by URL', async () => {
+        const values = { [toPageSnapshotKey(DIRECTORY_URL)]: Buffer.from('<html>stored</html>') };
+        const source = await createReplaySource({ mode: 'store', store: { name: 'snapshots', getValue: async (key) => values[key] ?? null } });
+        assert.equal(await source.get(DIRECTORY_URL), '<html>stored</html>');
+        assert.equal(await source.get('https://www.zoopla.co.uk/find-agents/'), null);
+    });
+
+    it('maps files to URLs by marker or canonical link and reports the rest', async () => {
+        const branchUrl = 'https://www.zoopla.co.uk/find-agents/branch/foxtons-battersea/12345/';
+        writeFileSync(join(directory, 'directory.html'), toPageSnapshot({ url: DIRECTORY_URL, label: 'DIRECTORY', html: '<html>page 2</html>' }));
+        writeFileSync(join(directory, 'branch.htm'), `<html><head><link rel="canonical" href="${branchUrl}"></head></html>`);
+        writeFileSync(join(directory, 'unknown.html'), '<html><body>no URL</body></html>');
+        writeFileSync(join(directory, 'notes.txt'), DIRECTORY_URL);
+
+        const source = await createReplaySource({ mode: 'directory', directory });
+        assert.match(await source.get(`${DIRECTORY_URL}#top`), /page 2/);
+        assert.match(await source.get(branchUrl), /canonical/);
+        assert.deepEqual(source.unknown, ['unknown.html']);
+        assert.equal(source.describe(), `2 files in ${directory}`);
+    });
+
+    it('is off by default', async () => {
+        assert.equal(await createReplaySource({ mode: 'off' }), null);
+    });
+});
+
+describe('getLiveOutputs', () => {
+    const requested = { changeSnapshot: true, webhook: true, history: false };
+
+    it('writes what was asked for in a live run', () => {
+        assert.deepEqual(getLiveOutputs(requested), { changeSnapshot: true, webhook: true, history: false, skipped: [] });
+    });
+
+    it('leaves the change-detection baseline, webhook and history alone in a replay', () => {
+        assert.deepEqual(getLiveOutputs(requested, { replaying: true }), {
+            changeSnapshot: false,
+            webhook: false,
+            history: false,
+            skipped: ['changeSnapshot', 'webhook'],
+        });
+    });
+});
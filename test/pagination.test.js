@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createHeldPages, createPageClaims, createSearchProgress, getLastPage, getPageLimit } from '../src/pagination.js';
+
+describe('getLastPage', () => {
+    it('rounds up to the page holding the last agent', () => {
+        assert.equal(getLastPage(87, 25), 4);
+        assert.equal(getLastPage(100, 25), 4);
+        assert.equal(getLastPage(0, 25), null);
+        assert.equal(getLastPage(87, 0), null);
+    });
+});
+
+describe('getPageLimit', () => {
+    it('caps Zoopla\'s last page by max_pages', () => {
+        assert.equal(getPageLimit({ lastPage: 40, maxPages: 5, allResults: false }), 5);
+        assert.equal(getPageLimit({ lastPage: 3, maxPages: 5, allResults: false }), 3);
+        assert.equal(getPageLimit({ lastPage: null, maxPages: null, allResults: false }), Infinity);
+    });
+
+    it('ignores max_pages in all results mode', () => {
+        assert.equal(getPageLimit({ lastPage: 400, maxPages: 5, allResults: true }), 400);
+    });
+});
+
+describe('createSearchProgress', () => {
+    it('tracks each start URL separately and reports completeness', () => {
+        const progress = createSearchProgress();
+        progress.recordPage('london', { page: 1, totalCount: 60, agentCount: 25 });
+        progress.recordPage('london', { page: 2, totalCount: 60, agentCount: 25 });
+        progress.recordPage('bristol', { page: 1, totalCount: 10, agentCount: 10 });
+
+        const [london, bristol] = progress.summary();
+        assert.equal(london.lastPage, 3);
+        assert.equal(london.pagesCrawled, 2);
+        assert.equal(london.complete, false);
+        assert.equal(bristol.lastPage, 1);
+        assert.equal(bristol.complete, true);
+    });
+
+    it('keeps the largest page as the page size', () => {
+        const progress = createSearchProgress();
+        progress.recordPage('leeds', { page: 2, totalCount: 30, agentCount: 5 });
+        progress.recordPage('leeds', { page: 1, totalCount: 30, agentCount: 25 });
+        assert.equal(progress.get('leeds').pageSize, 25);
+        assert.equal(progress.get('leeds').lastPage, 2);
+    });
+
+    it('continues from a restored summary', () => {
+        const first = createSearchProgress();
+        first.recordPage('london', { page: 1, totalCount: 60, agentCount: 25 });
+
+        const resumed = createSearchProgress(JSON.parse(JSON.stringify(first.summary())));
+        resumed.recordPage('london', { page: 2, totalCount: 60, agentCount: 25 });
+        assert.equal(resumed.get('london').agentsFound, 50);
+        assert.equal(resumed.get('london').complete, undefined);
+        assert.equal(resumed.summary()[0].pagesCrawled, 2);
+    });
+
+    it('previews the last page without counting the page as crawled', () => {
+        const progress = createSearchProgress();
+        progress.recordPage('london', { page: 1, totalCount: 60, agentCount: 25 });
+        assert.equal(progress.preview('london', { totalCount: 60, agentCount: 0 }).lastPage, 3);
+        assert.equal(progress.preview('leeds', { totalCount: 30, agentCount: 25 }).lastPage, 2);
+
+        const [london] = progress.summary();
+        assert.equal(london.pagesCrawled, 1);
+        assert.equal(london.agentsFound, 25);
+        assert.equal(progress.summary().length, 1);
+    });
+
+    it('keeps a search with a failed page incomplete', () => {
+        const progress = createSearchProgress();
+        progress.recordPage('london', { page: 1, totalCount: 60, agentCount: 25 });
+        progress.recordFailedPage('london', 2);
+        progress.recordPage('london', { page: 3, totalCount: 60, agentCount: 10 });
+
+        const [london] = createSearchProgress(JSON.parse(JSON.stringify(progress.summary()))).summary();
+        assert.equal(london.pagesCrawled, 3);
+        assert.deepEqual(london.failedPages, [2]);
+        assert.equal(london.complete, false);
+    });
+
+    it('leaves completeness unknown without a totalCount', () => {
+        const progress = createSearchProgress();
+        progress.recordPage('html-only', { page: 1, totalCount: 0, agentCount: 12 });
+        assert.equal(progress.summary()[0].complete, null);
+    });
+});
+
+describe('createHeldPages', () => {
+    it('keeps the lowest held page per search and hands each out once', () => {
+        const held = createHeldPages();
+        held.hold('london', 3, 'london');
+        held.hold('london', 2, 'london');
+        held.hold('london', 4, 'london');
+        held.hold('leeds', 5, 'leeds');
+
+        assert.deepEqual(held.take('leeds'), { rootUrl: 'leeds', page: 5, location: 'leeds' });
+        assert.equal(held.take('leeds'), null);
+        const resumed = createHeldPages(JSON.parse(JSON.stringify(held.getState())));
+        assert.deepEqual(resumed.take(), { rootUrl: 'london', page: 2, location: 'london' });
+        assert.equal(resumed.take(), null);
+    });
+});
+
+describe('createPageClaims', () => {
+    it('counts claimed places until they are released or committed', () => {
+        const claims = createPageClaims();
+        claims.claim('id:1', 'london');
+        claims.claim('id:2', 'london');
+        claims.claim('id:3', 'leeds', { place: false });
+        claims.claim('id:4', 'leeds');
+
+        assert.equal(claims.places(), 3);
+        assert.equal(claims.places('london'), 2);
+        assert.ok(claims.release('id:2'));
+        assert.equal(claims.release('id:3'), false);
+        assert.equal(claims.places('london'), 1);
+
+        assert.deepEqual(claims.commit(['id:1', 'id:2', 'id:3']), [
+            { key: 'id:1', rootUrl: 'london', place: true },
+            { key: 'id:2', rootUrl: 'london', place: false },
+            { key: 'id:3', rootUrl: 'leeds', place: false },
+        ]);
+        assert.ok(!claims.has('id:1'));
+        assert.equal(claims.places(), 1);
+        assert.deepEqual(claims.commit(['id:1']), []);
+    });
+});
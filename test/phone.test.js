@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { buildPhoneFields, getPhoneLabel, mergePhoneLists, normalizePhone, parseUkPhone, parseUkPhones } from '../src/phone.js';
+
+describe('parseUkPhone', () => {
+    it('formats landlines by the length of their area code', () => {
+        assert.equal(parseUkPhone('tel:02071234567').national, '020 7123 4567');
+        assert.equal(parseUkPhone('0113  496 0555').national, '0113 496 0555');
+        assert.equal(parseUkPhone('01865 123456').national, '01865 123456');
+    });
+
+    it('accepts +44, 0044 and (0) forms and gives E.164', () => {
+        for (const value of ['+44 (0)20 7123 4567', '0044 20 7123 4567', '+442071234567', 'tel:+44%2020%207123%204567']) {
+            assert.equal(parseUkPhone(value).e164, '+442071234567', value);
+        }
+    });
+
+    it('classifies landline, mobile and non-geographic numbers', () => {
+        assert.equal(parseUkPhone('07700 900123').type, 'mobile');
+        assert.equal(parseUkPhone('0330 123 4567').type, 'non-geographic');
+        assert.equal(parseUkPhone('0800 123 4567').type, 'non-geographic');
+        assert.equal(parseUkPhone('070 1234 5678').type, 'non-geographic');
+        assert.equal(parseUkPhone('0117 496 0123').type, 'landline');
+    });
+
+    it('reports the dialling area of geographic numbers', () => {
+        assert.deepEqual(
+            [parseUkPhone('01865 123456').areaCode, parseUkPhone('01865 123456').area],
+            ['01865', 'Oxford'],
+        );
+        assert.equal(parseUkPhone('0161 496 0000').area, 'Manchester');
+        assert.equal(parseUkPhone('07700 900123').area, null);
+    });
+
+    it('keeps extensions and tracked flags', () => {
+        const phone = parseUkPhone('020 7123 4567 ext. 204', { tracked: true, label: 'sales' });
+        assert.equal(phone.extension, '204');
+        assert.equal(phone.type, 'tracked');
+        assert.equal(phone.label, 'sales');
+    });
+
+    it('rejects short, long and non-UK numbers', () => {
+        assert.equal(parseUkPhone('020 7123 456'), null);
+        assert.equal(parseUkPhone('020 7123 45678 9'), null);
+        assert.equal(parseUkPhone('+1 212 555 0100'), null);
+        assert.equal(parseUkPhone('Call us'), null);
+        assert.equal(parseUkPhone(undefined), null);
+    });
+});
+
+describe('parseUkPhones', () => {
+    it('finds every number in a piece of text', () => {
+        const phones = parseUkPhones('Sales 020 7123 4567 / Lettings 020 7123 4999');
+        assert.deepEqual(
+            phones.map((phone) => phone.national),
+            ['020 7123 4567', '020 7123 4999'],
+        );
+    });
+
+    it('splits numbers separated by a dash or a slash', () => {
+        for (const text of ['020 7123 4567 - 020 7123 4568', '020 7123 4567 / 020 7123 4568', '020 7123 4567, 020 7123 4568']) {
+            assert.deepEqual(
+                parseUkPhones(text).map((phone) => phone.national),
+                ['020 7123 4567', '020 7123 4568'],
+            );
+        }
+    });
+});
+
+describe('phone helpers', () => {
+    it('labels numbers by department', () => {
+        assert.equal(getPhoneLabel('Call lettings'), 'lettings');
+        assert.equal(getPhoneLabel('Sales team'), 'sales');
+        assert.equal(getPhoneLabel('Call us'), null);
+    });
+
+    it('merges lists by E.164 keeping the first entry', () => {
+        const merged = mergePhoneLists(
+            parseUkPhones('020 7123 4567', { label: 'sales' }),
+            parseUkPhones('+44 20 7123 4567'),
+            parseUkPhones('07700 900123'),
+        );
+        assert.deepEqual(
+            merged.map((phone) => [phone.e164, phone.label]),
+            [
+                ['+442071234567', 'sales'],
+                ['+447700900123', null],
+            ],
+        );
+    });
+
+    it('builds the main phone fields from the first number', () => {
+        assert.deepEqual(buildPhoneFields([]), {
+            phone: null,
+            phoneE164: null,
+            phoneType: null,
+            phoneArea: null,
+            phoneExtension: null,
+            phones: [],
+        });
+        assert.equal(buildPhoneFields(parseUkPhones('0113 496 0555')).phoneArea, 'Leeds');
+        assert.equal(normalizePhone('+44 7700 900123'), '07700 900123');
+    });
+});
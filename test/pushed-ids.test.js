@@ -0,0 +1,30 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createPushedIds, loadPushedIds } from '../src/pushed-ids.js';
+
+const byReviewId = (review) => review.reviewId;
+
+describe('createPushedIds', () => {
+    it('keeps records not pushed yet, once per batch', () => {
+        const pushed = createPushedIds(byReviewId);
+        pushed.add([{ reviewId: '1' }]);
+        const fresh = pushed.fresh([{ reviewId: '1' }, { reviewId: '2' }, { reviewId: '2' }, { reviewId: null }]);
+        assert.deepEqual(fresh, [{ reviewId: '2' }, { reviewId: null }]);
+    });
+});
+
+describe('loadPushedIds', () => {
+    const dataset = {
+        forEach: async (callback) => {
+            [{ listingId: 'a', runId: 'run-1' }, { listingId: 'b', runId: 'run-2' }].forEach((item) => callback(item));
+        },
+    };
+
+    it('reads every ID, or only those of one run', async () => {
+        const all = await loadPushedIds(dataset, (listing) => listing.listingId);
+        assert.equal(all.size(), 2);
+        const thisRun = await loadPushedIds(dataset, (listing) => listing.listingId, { runId: 'run-2' });
+        assert.deepEqual(thisRun.fresh([{ listingId: 'a' }, { listingId: 'b' }]), [{ listingId: 'a' }]);
+    });
+});
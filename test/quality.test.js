@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractAgentsFromHtml } from '../src/extractors/agents.js';
+import { assessRecord, clearInvalidFields, createQualityStats, getNonAgentReason, RECORD_TYPES, scoreCompleteness, validateRecordTypes } from '../src/quality.js';
+import { loadFixture } from './helpers.js';
+
+const agent = {
+    agentId: '12345',
+    name: 'Foxtons - Battersea',
+    companyName: 'Foxtons',
+    url: 'https://www.zoopla.co.uk/find-agents/branch/foxtons-battersea/12345/',
+    address: '1 Battersea Park Road, London, SW11 4NP',
+    postalCode: 'SW11 4NP',
+    outwardCode: 'SW11',
+    locality: 'London',
+    phone: '020 7123 4567',
+    phoneType: 'landline',
+    website: 'https://www.foxtons.co.uk',
+    latitude: 51.4749,
+    longitude: -0.1573,
+    rating: 4.5,
+    reviewCount: 120,
+};
+
+describe('getNonAgentReason', () => {
+    it('keeps real agents', () => {
+        assert.equal(getNonAgentReason(agent), null);
+        assert.equal(getNonAgentReason({ name: 'Aire Valley Homes', url: 'https://www.zoopla.co.uk/find-agents/branch/aire-valley-homes/55502/' }), null);
+    });
+
+    it('drops portals, navigation links and entries without an identity', () => {
+        assert.equal(getNonAgentReason({ name: 'Zoopla', url: 'https://www.zoopla.co.uk/' }), 'portal, not an agent');
+        assert.equal(getNonAgentReason({ ...agent, name: 'View branch' }), 'navigation link, not an agent');
+        assert.equal(getNonAgentReason({ name: 'Smith & Co', url: 'https://www.smithandco.co.uk/' }), 'no agent ID or branch URL');
+        assert.equal(getNonAgentReason({ name: ' ' }), 'no name');
+    });
+});
+
+describe('assessRecord', () => {
+    it('scores a complete record 100 with no warnings', () => {
+        assert.deepEqual(assessRecord(agent), { completeness: 100, warnings: [] });
+    });
+
+    it('warns about missing and partial fields', () => {
+        const { completeness, warnings } = assessRecord({ ...agent, phone: null, postalCode: null, companyName: null, website: null });
+        assert.equal(completeness, 60);
+        assert.deepEqual(warnings, ['phone missing', 'postcode partial', 'company missing']);
+    });
+
+    it('flags sponsored names, tracked numbers and out-of-range values', () => {
+        const { warnings } = assessRecord({ ...agent, name: 'Sponsored: Premium Agent', phoneType: 'tracked', rating: 9, latitude: 40 });
+        assert.deepEqual(warnings, ['name looks like a sponsored banner', 'phone is a call-tracking number', 'rating out of range', 'coordinates outside the UK']);
+    });
+
+    it('scores HTML fallback cards lower than full records', () => {
+        const [, card] = extractAgentsFromHtml(loadFixture('directory-html.html'));
+        assert.ok(scoreCompleteness(card) < 50);
+        assert.ok(assessRecord(card).warnings.includes('phone missing'));
+    });
+});
+
+describe('validateRecordTypes', () => {
+    it('reports fields of the wrong type', () => {
+        assert.deepEqual(validateRecordTypes({ ...agent, rating: '4.5', phones: 'none' }), ['phones: expected array', 'rating: expected number']);
+    });
+
+    it('reads the field types from the dataset schema', () => {
+        assert.deepEqual(RECORD_TYPES.rating, ['number']);
+        assert.deepEqual(RECORD_TYPES.featured, ['boolean']);
+    });
+
+    it('empties fields of the wrong type so the push is not rejected', () => {
+        const cleared = clearInvalidFields({ ...agent, rating: '4.5' });
+        assert.equal(cleared.rating, null);
+        assert.equal(cleared.name, agent.name);
+        assert.deepEqual(validateRecordTypes(cleared), []);
+    });
+});
+
+describe('createQualityStats', () => {
+    it('counts drops and warnings and survives a restart', () => {
+        const stats = createQualityStats();
+        stats.recordDropped('nonAgent');
+        stats.recordAssessment({ completeness: 80, warnings: ['phone missing'] });
+        const restored = createQualityStats(JSON.parse(JSON.stringify(stats.snapshot())));
+        restored.recordAssessment({ completeness: 60, warnings: ['phone missing', 'company missing'] });
+        restored.recordDropped('belowMinQuality');
+        assert.deepEqual(restored.summary(), {
+            assessed: 2,
+            averageCompleteness: 70,
+            dropped: { nonAgent: 1, belowMinQuality: 1 },
+            warnings: { 'phone missing': 2, 'company missing': 1 },
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { extractReviews, normalizeZooplaReview } from '../src/extractors/reviews.js';
+import { loadFixture } from './helpers.js';
+
+describe('extractReviews', () => {
+    it('reads reviews and totalCount from __NEXT_DATA__', () => {
+        const { reviews, totalCount } = extractReviews(loadFixture('reviews-page.html'));
+        assert.equal(totalCount, 42);
+        assert.deepEqual(reviews[0], {
+            reviewId: '901',
+            authorInitials: 'J. S.',
+            date: '2026-01-03',
+            rating: 5,
+            text: 'Sold our flat within three weeks.',
+            agentReply: 'Thank you, Jane!',
+            service: 'sales',
+            source: 'api',
+        });
+        assert.equal(reviews[1].authorInitials, 'R. K.');
+        assert.equal(reviews[1].service, 'lettings');
+        assert.equal(reviews[1].agentReply, null);
+    });
+
+    it('falls back to review cards in the HTML', () => {
+        const { reviews } = extractReviews(loadFixture('reviews-page-html.html'));
+        assert.equal(reviews.length, 1);
+        assert.equal(reviews[0].authorInitials, 'T. B.');
+        assert.equal(reviews[0].rating, 4);
+        assert.equal(reviews[0].agentReply, 'Thanks for the feedback, Tom.');
+        assert.equal(reviews[0].source, 'html');
+    });
+});
+
+describe('normalizeZooplaReview', () => {
+    it('reads schema.org Review nodes', () => {
+        const review = normalizeZooplaReview(
+            {
+                '@type': 'Review',
+                author: { name: 'Sam Lee' },
+                datePublished: '2025-06-01',
+                reviewRating: { ratingValue: '3' },
+                reviewBody: 'Fine.',
+            },
+            'json-ld',
+        );
+        assert.equal(review.authorInitials, 'S. L.');
+        assert.equal(review.rating, 3);
+        assert.equal(review.text, 'Fine.');
+    });
+
+    it('reads comment as the reviewer\'s text, never as the agent reply', () => {
+        const review = normalizeZooplaReview({ rating: 5, comment: 'Sold in a week.', reply: { text: 'Thank you!' } }, 'api');
+        assert.equal(review.text, 'Sold in a week.');
+        assert.equal(review.agentReply, 'Thank you!');
+        assert.equal(normalizeZooplaReview({ rating: 4, comment: 'Good.' }, 'api').agentReply, null);
+    });
+
+    it('drops entries with neither text nor rating', () => {
+        assert.equal(normalizeZooplaReview({ author: 'A' }, 'api'), null);
+    });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createCompanyAggregator } from '../src/companies.js';
+import { createHealthStats } from '../src/health.js';
+import { fromStoredRunState, loadRunState, RUN_STATE_KEY, toStoredRunState } from '../src/run-state.js';
+
+const buildState = () => ({
+    seen: new Set(['id:1', 'id:2']),
+    queued: new Set(['https://www.zoopla.co.uk/find-agents/estate-agents/london/?pn=2']),
+    written: new Set(['id:1']),
+    saved: 2,
+    savedBySearch: new Map([['london', 2]]),
+    budgetReached: false,
+    heldPages: { london: { page: 3, location: 'london' } },
+    searches: [{ rootUrl: 'london', totalCount: 60, pageSize: 25, lastPage: 3, pagesCrawled: 1, agentsFound: 25, complete: false }],
+    health: createHealthStats().snapshot(),
+    companies: {},
+    mergedRecords: new Map([['id:2', { agentId: '2', name: 'B' }]]),
+    foundInByKey: new Map([['id:2', [{ rootUrl: 'london', searchLocation: 'london', page: 1 }]]]),
+    currentSnapshot: {},
+    changeCounts: { new: 2, changed: 0, unchanged: 0, disappeared: 0 },
+    finalized: false,
+});
+
+describe('run state', () => {
+    it('survives a JSON round trip with its Sets and Maps', () => {
+        const stored = JSON.parse(JSON.stringify(toStoredRunState(buildState())));
+        const restored = fromStoredRunState(stored);
+
+        assert.ok(restored.seen.has('id:2'));
+        assert.ok(restored.written.has('id:1'));
+        assert.equal(restored.queued.size, 1);
+        assert.equal(restored.saved, 2);
+        assert.equal(restored.savedBySearch.get('london'), 2);
+        assert.deepEqual(restored.mergedRecords.get('id:2'), { agentId: '2', name: 'B' });
+        assert.equal(restored.foundInByKey.get('id:2')[0].page, 1);
+        assert.equal(restored.heldPages.london.page, 3);
+        assert.equal(restored.finalized, false);
+    });
+
+    it('returns null when nothing was stored', async () => {
+        assert.equal(fromStoredRunState(null), null);
+        const store = { getValue: async (key) => (key === RUN_STATE_KEY ? null : { saved: 1 }) };
+        assert.equal(await loadRunState(store), null);
+    });
+
+    it('restores health stats and company rollups', () => {
+        const health = createHealthStats();
+        health.recordPage({ url: 'p1', tier: 'api', hasNextData: true, agents: [{ phone: '020 7123 4567' }] });
+        const resumedHealth = createHealthStats(JSON.parse(JSON.stringify(health.snapshot())));
+        resumedHealth.recordPage({ url: 'p2', tier: 'html', hasNextData: false, agents: [{}] });
+        assert.deepEqual(resumedHealth.snapshot().tierCounts, { api: 1, 'json-ld': 0, html: 1, none: 0 });
+        assert.equal(resumedHealth.snapshot().fieldCounts.phone, 1);
+        assert.equal(resumedHealth.snapshot().agentCount, 2);
+
+        const companies = createCompanyAggregator();
+        companies.add({ agentId: '1', companyName: 'Acme', locality: 'Leeds', listingsForSale: 3, address: 'not kept' });
+        const resumedCompanies = createCompanyAggregator(JSON.parse(JSON.stringify(companies.getState())));
+        resumedCompanies.add({ agentId: '2', companyName: 'Acme Ltd', locality: 'York', listingsForSale: 2 });
+        const [acme] = resumedCompanies.summary();
+        assert.equal(acme.branchCount, 2);
+        assert.equal(acme.totalListingsForSale, 5);
+        assert.equal(resumedCompanies.getState().acme[0].address, undefined);
+    });
+});
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    buildLocationSearchUrl,
+    buildNextDataUrl,
+    buildReviewsUrlForPage,
+    buildSearchUrlForPage,
+    getSearchLocation,
+    toLocationSlug,
+    validateDirectoryUrl,
+} from '../src/urls.js';
+
+describe('buildSearchUrlForPage', () => {
+    it('sets pn for later pages and removes it for the first', () => {
+        const root = 'https://www.zoopla.co.uk/find-agents/estate-agents/london/?page=3';
+        assert.equal(buildSearchUrlForPage(root, 1), 'https://www.zoopla.co.uk/find-agents/estate-agents/london/');
+        assert.equal(buildSearchUrlForPage(root, 4), 'https://www.zoopla.co.uk/find-agents/estate-agents/london/?pn=4');
+    });
+});
+
+describe('location URLs', () => {
+    it('slugs towns, outward codes and full postcodes', () => {
+        assert.equal(toLocationSlug('Milton Keynes'), 'milton-keynes');
+        assert.equal(toLocationSlug('St. Albans'), 'st-albans');
+        assert.equal(toLocationSlug('sw11'), 'sw11');
+        assert.equal(toLocationSlug('SW11 1AA'), 'sw11-1aa');
+        assert.equal(toLocationSlug('  '), null);
+    });
+
+    it('builds canonical find-agents URLs with an optional radius', () => {
+        assert.equal(buildLocationSearchUrl('London'), 'https://www.zoopla.co.uk/find-agents/estate-agents/london/');
+        assert.equal(
+            buildLocationSearchUrl('SW11', 'letting-agents', '1'),
+            'https://www.zoopla.co.uk/find-agents/letting-agents/sw11/?radius=1',
+        );
+    });
+});
+
+describe('getSearchLocation', () => {
+    it('reads the location from a directory URL', () => {
+        assert.equal(getSearchLocation('https://www.zoopla.co.uk/find-agents/estate-agents/milton-keynes/?pn=2'), 'milton keynes');
+        assert.equal(getSearchLocation('https://www.zoopla.co.uk/find-agents/letting-agents/sw11/'), 'sw11');
+        assert.equal(getSearchLocation('not a url'), null);
+    });
+});
+
+describe('validateDirectoryUrl', () => {
+    it('accepts directory searches', () => {
+        assert.equal(validateDirectoryUrl('https://www.zoopla.co.uk/find-agents/estate-agents/london/'), null);
+        assert.equal(validateDirectoryUrl('https://www.zoopla.co.uk/find-agents/letting-agents/sw11/?radius=1'), null);
+    });
+
+    it('rejects other page types with a reason', () => {
+        assert.match(validateDirectoryUrl('https://www.zoopla.co.uk/find-agents/branch/foxtons/1/'), /branch page/);
+        assert.match(validateDirectoryUrl('https://www.zoopla.co.uk/for-sale/property/london/'), /property search/);
+        assert.match(validateDirectoryUrl('https://www.rightmove.co.uk/estate-agents.html'), /zoopla/);
+        assert.match(validateDirectoryUrl('london'), /not a valid URL/);
+    });
+});
+
+describe('buildReviewsUrlForPage', () => {
+    it('appends reviews/ and the page number', () => {
+        const branch = 'https://www.zoopla.co.uk/find-agents/branch/foxtons-battersea/12345/';
+        assert.equal(buildReviewsUrlForPage(branch, 1), `${branch}reviews/`);
+        assert.equal(buildReviewsUrlForPage(`${branch}reviews/`, 2), `${branch}reviews/?pn=2`);
+    });
+});
+
+describe('buildNextDataUrl', () => {
+    it('maps a page URL onto its Next.js data route', () => {
+        assert.equal(
+            buildNextDataUrl('https://www.zoopla.co.uk/find-agents/estate-agents/london/?pn=2', 'k2Yz-build-123'),
+            'https://www.zoopla.co.uk/_next/data/k2Yz-build-123/find-agents/estate-agents/london.json?pn=2',
+        );
+        assert.equal(buildNextDataUrl('https://www.zoopla.co.uk/', 'abc'), 'https://www.zoopla.co.uk/_next/data/abc/index.json');
+        assert.equal(buildNextDataUrl('https://www.zoopla.co.uk/find-agents/estate-agents/london/', null), null);
+    });
+});
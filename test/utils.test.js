@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    cleanText,
+    ensureAbsoluteUrl,
+    extractNextDataFromHtml,
+    parseNumber,
+} from '../src/utils.js';
+
+describe('ensureAbsoluteUrl', () => {
+    it('resolves relative and protocol-relative URLs', () => {
+        assert.equal(ensureAbsoluteUrl('/find-agents/branch/a/1/'), 'https://www.zoopla.co.uk/find-agents/branch/a/1/');
+        assert.equal(ensureAbsoluteUrl('//lid.zoocdn.com/a.png'), 'https://lid.zoocdn.com/a.png');
+        assert.equal(ensureAbsoluteUrl({ href: 'https://example.com' }), 'https://example.com');
+    });
+
+    it('ignores data:, mailto: and tel: links', () => {
+        assert.equal(ensureAbsoluteUrl('data:image/png;base64,AAA'), null);
+        assert.equal(ensureAbsoluteUrl('mailto:a@b.com'), null);
+        assert.equal(ensureAbsoluteUrl('tel:0201234567'), null);
+    });
+});
+
+describe('parseNumber and cleanText', () => {
+    it('parses formatted numbers', () => {
+        assert.equal(parseNumber('£875,000'), 875000);
+        assert.equal(parseNumber('4.6'), 4.6);
+        assert.equal(parseNumber(Number.NaN), null);
+        assert.equal(parseNumber(''), null);
+    });
+
+    it('collapses whitespace', () => {
+        assert.equal(cleanText('  Foxtons \n  Battersea '), 'Foxtons Battersea');
+        assert.equal(cleanText(''), null);
+    });
+});
+
+describe('extractNextDataFromHtml', () => {
+    it('returns null for missing or broken __NEXT_DATA__', () => {
+        assert.equal(extractNextDataFromHtml('<html></html>'), null);
+        assert.equal(extractNextDataFromHtml('<script id="__NEXT_DATA__" type="application/json">{oops</script>'), null);
+    });
+});
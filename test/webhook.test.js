@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+
+import { buildWebhookPayload, createWebhookSink, signPayload } from '../src/webhook.js';
+
+const agent = (agentId) => ({
+    agentId,
+    name: `Agent ${agentId}`,
+    companyName: 'Foxtons',
+    street: '1 Battersea Park Road',
+    town: 'London',
+    postalCode: 'SW11 4NP',
+    phone: '020 7123 4567',
+    phoneE164: '+442071234567',
+    url: `https://www.zoopla.co.uk/find-agents/branch/agent-${agentId}/`,
+});
+
+// Local stub: answers with the next queued status and keeps every request it received
+const startStub = async () => {
+    const received = [];
+    const statuses = [];
+    const server = createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            const status = statuses.shift() || 200;
+            res.writeHead(status, status === 429 ? { 'retry-after': '0' } : {});
+            res.end();
+        });
+    });
+    await new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    return { server, received, statuses, url: `http://127.0.0.1:${server.address().port}/hook` };
+};
+
+describe('buildWebhookPayload', () => {
+    it('sends raw records through the output shaper', () => {
+        const payload = buildWebhookPayload([agent('1')], { shape: ({ agentId }) => ({ id: agentId }) });
+        assert.equal(payload.event, 'agents.saved');
+        assert.equal(payload.count, 1);
+        assert.deepEqual(payload.records, [{ id: '1' }]);
+    });
+
+    it('maps records to HubSpot companies and Salesforce accounts', () => {
+        const [company] = buildWebhookPayload([agent('1')], { template: 'hubspot' }).inputs;
+        assert.equal(company.properties.name, 'Foxtons');
+        assert.equal(company.properties.phone, '+442071234567');
+        assert.equal(company.properties.zip, 'SW11 4NP');
+        assert.equal(company.properties.zoopla_agent_id, '1');
+
+        const payload = buildWebhookPayload([agent('1')], { template: 'salesforce' });
+        assert.equal(payload.allOrNone, false);
+        assert.deepEqual(payload.records[0].attributes, { type: 'Account' });
+        assert.equal(payload.records[0].BillingCity, 'London');
+        assert.equal(payload.records[0].Zoopla_Agent_ID__c, '1');
+    });
+});
+
+describe('createWebhookSink', () => {
+    let stub;
+    const noSleep = async () => {};
+
+    before(async () => {
+        stub = await startStub();
+    });
+
+    after(() => {
+        stub.server.close();
+    });
+
+    it('batches records and flushes the rest', async () => {
+        stub.received.length = 0;
+        const sink = createWebhookSink({ url: stub.url, batchSize: 2, sleep: noSleep });
+        assert.equal((await sink.add([agent('1')])).length, 0);
+        const outcomes = await sink.add([agent('2'), agent('3')]);
+        assert.deepEqual(outcomes, [{ ok: true, count: 2, attempts: 1 }]);
+        assert.equal(stub.received.length, 1);
+        assert.deepEqual(
+            JSON.parse(stub.received[0].body).records.map((record) => record.agentId),
+            ['1', '2'],
+        );
+
+        await sink.flush();
+        assert.equal(stub.received.length, 2);
+        assert.equal(JSON.parse(stub.received[1].body).count, 1);
+        assert.equal(sink.stats().sentRecords, 3);
+        assert.equal(sink.stats().pending, 0);
+    });
+
+    it('sends auth headers and an HMAC signature', async () => {
+        stub.received.length = 0;
+        const sink = createWebhookSink({ url: stub.url, batchSize: 1, secret: 's3cret', headers: { authorization: 'Bearer token' } });
+        await sink.add([agent('1')]);
+        const [{ headers, body }] = stub.received;
+        assert.equal(headers.authorization, 'Bearer token');
+        assert.equal(headers['content-type'], 'application/json');
+        assert.equal(headers['x-webhook-signature'], signPayload('s3cret', headers['x-webhook-timestamp'], body));
+    });
+
+    it('retries rate limits and server errors with backoff', async () => {
+        stub.received.length = 0;
+        stub.statuses.push(500, 429);
+        const delays = [];
+        const sink = createWebhookSink({ url: stub.url, batchSize: 1, retryDelayMs: 100, sleep: async (ms) => delays.push(ms) });
+        const [outcome] = await sink.add([agent('1')]);
+        assert.deepEqual(outcome, { ok: true, count: 1, attempts: 3 });
+        // 500 backs off 100ms, 429 honours Retry-After: 0
+        assert.deepEqual(delays, [100, 0]);
+        assert.equal(sink.stats().retries, 2);
+    });
+
+    it('gives up on client errors and after the last retry', async () => {
+        stub.statuses.push(400);
+        const sink = createWebhookSink({ url: stub.url, batchSize: 1, maxRetries: 1, sleep: noSleep });
+        assert.deepEqual(await sink.add([agent('1')]), [{ ok: false, count: 1, error: 'HTTP 400' }]);
+
+        stub.statuses.push(503, 503);
+        assert.deepEqual(await sink.add([agent('2')]), [{ ok: false, count: 1, error: 'HTTP 503' }]);
+        assert.equal(sink.stats().failedBatches, 2);
+        assert.equal(sink.stats().retries, 1);
+    });
+
+    it('counts network errors as failures and keeps pending records across restarts', async () => {
+        const sink = createWebhookSink({ url: 'http://127.0.0.1:1/hook', batchSize: 5, maxRetries: 0, sleep: noSleep });
+        await sink.add([agent('1'), agent('2')]);
+        const restored = createWebhookSink({ url: 'http://127.0.0.1:1/hook', batchSize: 5, maxRetries: 0 }, sink.getState());
+        assert.equal(restored.stats().pending, 2);
+        const [outcome] = await restored.flush();
+        assert.equal(outcome.ok, false);
+        assert.equal(restored.stats().failedRecords, 2);
+    });
+});
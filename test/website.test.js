@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+    extractCompanyNumber,
+    extractWebsiteDetails,
+    findEnrichmentLinks,
+    isAgentWebsite,
+    mergeWebsiteDetails,
+} from '../src/extractors/website.js';
+import { loadFixture } from './helpers.js';
+
+const WEBSITE = 'https://www.smithandjones.co.uk/';
+
+describe('extractWebsiteDetails', () => {
+    it('reads emails, social profiles, company number and badges from a home page', () => {
+        const details = extractWebsiteDetails(loadFixture('agent-website.html'));
+        assert.deepEqual(details.emails, ['lettings@smithandjones.co.uk', 'info@webagency.com', 'sales@smithandjones.co.uk']);
+        assert.deepEqual(details.socialLinks, {
+            facebook: 'https://www.facebook.com/smithandjonesbattersea',
+            instagram: 'https://instagram.com/smithandjones',
+            linkedin: 'https://www.linkedin.com/company/smith-and-jones',
+            x: 'https://x.com/smithandjones',
+        });
+        assert.equal(details.companyNumber, '01234567');
+        assert.deepEqual(details.memberships, ['Propertymark', 'NAEA', 'The Property Ombudsman']);
+        assert.equal(details.teamSize, null);
+    });
+
+    it('counts team members', () => {
+        const details = extractWebsiteDetails(loadFixture('agent-website-team.html'));
+        assert.equal(details.teamSize, 3);
+        assert.deepEqual(details.emails, ['jane.smith@smithandjones.co.uk']);
+        assert.deepEqual(details.memberships, ['Propertymark', 'ARLA']);
+    });
+});
+
+describe('extractCompanyNumber', () => {
+    it('reads English, Scottish and unpadded numbers', () => {
+        assert.equal(extractCompanyNumber('Company number: 01234567'), '01234567');
+        assert.equal(extractCompanyNumber('Registered in Scotland No. SC123456'), 'SC123456');
+        assert.equal(extractCompanyNumber('Company Registration No 987654'), '00987654');
+        assert.equal(extractCompanyNumber('VAT registration number 123456789'), null);
+        assert.equal(extractCompanyNumber('Call 020 7123 4567'), null);
+    });
+});
+
+describe('findEnrichmentLinks', () => {
+    it('lists contact, about and team pages on the same site, contact first', () => {
+        assert.deepEqual(findEnrichmentLinks(loadFixture('agent-website.html'), WEBSITE), [
+            'https://www.smithandjones.co.uk/contact',
+            'https://www.smithandjones.co.uk/about-us/',
+            'https://www.smithandjones.co.uk/meet-the-team/',
+        ]);
+    });
+});
+
+describe('isAgentWebsite', () => {
+    it('skips portals and non-web links', () => {
+        assert.equal(isAgentWebsite(WEBSITE), true);
+        assert.equal(isAgentWebsite('https://www.zoopla.co.uk/find-agents/branch/foxtons-battersea/12345/'), false);
+        assert.equal(isAgentWebsite('mailto:info@smithandjones.co.uk'), false);
+        assert.equal(isAgentWebsite(null), false);
+    });
+});
+
+describe('mergeWebsiteDetails', () => {
+    it('puts the agent domain first and keeps the largest team', () => {
+        const pages = [extractWebsiteDetails(loadFixture('agent-website.html')), extractWebsiteDetails(loadFixture('agent-website-team.html'))];
+        const merged = mergeWebsiteDetails(pages, { website: WEBSITE });
+        assert.equal(merged.email, 'lettings@smithandjones.co.uk');
+        assert.equal(merged.emails.at(-1), 'info@webagency.com');
+        assert.equal(merged.teamSize, 3);
+        assert.deepEqual(merged.memberships, ['Propertymark', 'NAEA', 'ARLA', 'The Property Ombudsman']);
+        assert.equal(merged.companyNumber, '01234567');
+        assert.equal(merged.websitePagesVisited, 2);
+    });
+
+    it('keeps an email Zoopla already gave first', () => {
+        const merged = mergeWebsiteDetails([extractWebsiteDetails(loadFixture('agent-website.html'))], {
+            website: WEBSITE,
+            email: 'battersea@smithandjones.co.uk',
+        });
+        assert.equal(merged.email, 'battersea@smithandjones.co.uk');
+        assert.equal(merged.emails[1], 'lettings@smithandjones.co.uk');
+    });
+});